@@ -1,202 +1,30 @@
 // ── state ──────────────────────────────────────────────────────────────────
 let _stats = null;
-let _currentLevel = 0;
 let _activePace = 'median';
-
-// ── review windows ─────────────────────────────────────────────────────────
-const REVIEW_WINDOWS = [9, 18]; // 9am and 6pm (24h)
-
-// ── helpers ────────────────────────────────────────────────────────────────
-const addDays = (d, n) => new Date(d.getTime() + n * 864e5);
-const fmtDate = d => d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-const fmtShort = d => new Date(d).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
-const fmtDateTime = d => d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-
-function relDays(d) {
-  const diff = Math.round((d - Date.now()) / 864e5);
-  if (diff <= 0) return 'in the past';
-  if (diff < 30) return `${diff}d from now`;
-  if (diff < 365) return `~${Math.round(diff / 30)}mo from now`;
-  return `~${(diff / 365).toFixed(1)}yr from now`;
-}
-
-function fmtDays(d) {
-  if (d < 1) return `${Math.round(d * 24)}h`;
-  if (d < 2) return `${d.toFixed(1)}d`;
-  return `${Math.round(d)}d`;
-}
-
-// ── SRS intervals ──────────────────────────────────────────────────────────
-const SRS_INTERVALS_H = [4, 8, 23, 47, 167, 335, 719, 2879];
-
-function nextWindow(availableAt) {
-  const d = new Date(availableAt);
-  for (let dayOffset = 0; dayOffset <= 14; dayOffset++) {
-    for (const h of REVIEW_WINDOWS) {
-      const candidate = new Date(d);
-      candidate.setDate(candidate.getDate() + dayOffset);
-      candidate.setHours(h, 0, 0, 0);
-      if (candidate > d) return new Date(candidate);
-    }
-  }
-  return d;
-}
-
-function simulateToGuru(startDate, currentStage) {
-  let reviewDate = new Date(startDate);
-  let stage = currentStage;
-  while (stage < 4) {
-    const availableAt = new Date(reviewDate.getTime() + SRS_INTERVALS_H[stage] * 3600000);
-    reviewDate = nextWindow(availableAt);
-    stage++;
-  }
-  return reviewDate;
-}
-
-// ── stats computation ──────────────────────────────────────────────────────
-function getCurrentRunStart(progressions) {
-  if (!progressions.length) return null;
-  const sorted = [...progressions].sort(
-    (a, b) => new Date(a.data.started_at) - new Date(b.data.started_at)
-  );
-  let runStartDate = new Date(sorted[0].data.started_at);
-  let prevLevel = 0;
-  for (const p of sorted) {
-    if (p.data.level <= prevLevel && p.data.level <= 5) {
-      runStartDate = new Date(p.data.started_at);
-    }
-    prevLevel = p.data.level;
-  }
-  return runStartDate;
-}
-
-function computeStats(progressions, currentLevel) {
-  const runStart = getCurrentRunStart(progressions);
-  const currentRun = progressions.filter(p =>
-    new Date(p.data.started_at) >= runStart
-  );
-  const done = currentRun.filter(p =>
-    p.data.passed_at && !p.data.abandoned_at && p.data.level < currentLevel
-  );
-  if (done.length < 2) return null;
-
-  done.sort((a, b) => a.data.level - b.data.level);
-
-  const durs = done.map(p =>
-    (new Date(p.data.passed_at) - new Date(p.data.started_at)) / 864e5
-  );
-  const sorted = [...durs].sort((a, b) => a - b);
-  const avg    = durs.reduce((s, d) => s + d, 0) / durs.length;
-  const median = sorted[Math.floor(sorted.length / 2)];
-  const fast   = sorted[Math.floor(sorted.length * 0.25)] || sorted[0];
-  const slow   = sorted[Math.floor(sorted.length * 0.75)] || sorted[sorted.length - 1];
-  const rec    = durs.slice(-5);
-  const recent = rec.reduce((s, d) => s + d, 0) / rec.length;
-
-  return { avg, median, fast, slow, recent, durs, sorted, done };
-}
-
-// ── window-based level time ────────────────────────────────────────────────
-function calcWindowLevelDays(lessonTime) {
-  const radicalGuruDate = simulateToGuru(lessonTime, 0);
-  const kanjiGuruDate   = simulateToGuru(radicalGuruDate, 0);
-  const days = (kanjiGuruDate - lessonTime) / 864e5;
-  return { days, levelUpDate: kanjiGuruDate };
-}
-
-function calcWindowRoadTo60() {
-  const left = 60 - _currentLevel;
-  const firstLesson = nextWindow(new Date());
-  const { days: windowDaysPerLevel } = calcWindowLevelDays(firstLesson);
-  const windowDate = addDays(new Date(), left * windowDaysPerLevel);
-  return { windowDaysPerLevel, windowDate };
-}
-
-// ── next level prediction ──────────────────────────────────────────────────
-function computeNextLevel(assignments) {
-  const now = new Date();
-
-  const allKanji    = assignments.filter(a => a.data.subject_type === 'kanji' && !a.data.burned_at);
-  const allRadicals = assignments.filter(a => a.data.subject_type === 'radical' && !a.data.burned_at);
-
-  const totalKanji  = allKanji.length;
-  const kanjiAtGuru = allKanji.filter(a => a.data.srs_stage >= 4).length;
-  const blockingKanji    = allKanji.filter(a => a.data.srs_stage < 4);
-  const blockingRadicals = allRadicals.filter(a => a.data.srs_stage < 4);
-
-  if (blockingKanji.length === 0) {
-    return {
-      levelUpDate: nextWindow(now),
-      blockingCount: 0,
-      imminent: true,
-      stageBreakdown: [],
-      kanjiAtGuru,
-      totalKanji,
-    };
-  }
-
-  // Simulate every blocking kanji to Guru — level up when the LAST one hits
-  const kanjiGuruDates = blockingKanji.map(a => {
-    const d = a.data;
-    if (!d.started_at) {
-      return simulateToGuru(nextWindow(now), 0);
-    }
-    const availableAt = d.available_at ? new Date(d.available_at) : now;
-    const startFrom   = availableAt <= now ? now : availableAt;
-    return simulateToGuru(startFrom, d.srs_stage);
-  });
-
-  kanjiGuruDates.sort((a, b) => a - b);
-  const levelUpDate = kanjiGuruDates[kanjiGuruDates.length - 1];
-
-  const blocking = [...blockingRadicals, ...blockingKanji];
-  const unstartedCount = blocking.filter(a => !a.data.started_at).length;
-
-  return {
-    levelUpDate,
-    blockingCount: blockingKanji.length,
-    imminent: false,
-    criticalItem: { guruDate: levelUpDate },
-    unstartedCount,
-    kanjiAtGuru,
-    totalKanji,
-    kanjiStillNeeded: blockingKanji.length,
-    stageBreakdown: [
-      { stage: -1, count: unstartedCount, label: 'Lessons' },
-      ...[0, 1, 2, 3].map(s => ({
-        stage: s,
-        count: blocking.filter(a => a.data.started_at && a.data.srs_stage === s).length,
-        label: ['App 1', 'App 2', 'App 3', 'App 4'][s]
-      }))
-    ].filter(s => s.count > 0)
-  };
-}
-
-// ── speedup analysis ───────────────────────────────────────────────────────
-function computeSpeedup(reviewStats) {
-  let correct = 0, incorrect = 0;
-  for (const rs of reviewStats) {
-    correct   += rs.data.meaning_correct + rs.data.reading_correct;
-    incorrect += rs.data.meaning_incorrect + rs.data.reading_incorrect;
-  }
-  const total    = correct + incorrect;
-  const accuracy = total > 0 ? (correct / total) * 100 : 100;
-
-  const avgIntervalHours   = 20.5;
-  const estReviewsPerLevel = 100;
-  const incorrectRate      = total > 0 ? incorrect / total : 0;
-  const extraHoursPerLevel = incorrectRate * estReviewsPerLevel * avgIntervalHours;
-  const extraDaysPerLevel  = extraHoursPerLevel / 24;
-
-  const { windowDaysPerLevel } = calcWindowRoadTo60();
-  const windowLostPerLevel = Math.max(0, (_stats?.median || 0) - windowDaysPerLevel);
-
-  return { accuracy, total, incorrect, extraDaysPerLevel, windowLostPerLevel };
-}
+let _data = null;
+let _mcHalfLife = 0;
+let _forecast = null;
+let _syncId = 0;
+let _abort = null;
+let _runs = [];
+let _activeRun = 0;
+let _nextLevel = null;
+let _lessonsPerDay = DEFAULT_LESSONS_PER_DAY;
+let _workloadDays = 14;
+let _planLevel = 60;
+let _chartMode = 'days';
+let _chartZoom = 1;
+let _breaks = [];
+let _milestonesAll = false;
+let _team = [];
+let _live = null;
+let _syncStatus = null;
+let _habits = null;
 
 // ── render next level ──────────────────────────────────────────────────────
 function renderNextLevel(nextLevel) {
-  const { levelUpDate, blockingCount, imminent, criticalItem, stageBreakdown } = nextLevel;
+  const { levelUpDate, blockingCount, imminent, criticalItem, criticalPath, stageBreakdown,
+          kanjiAtGuru, kanjiRequired, totalKanji } = nextLevel;
   const now = new Date();
   const daysUntil = Math.max(0, (levelUpDate - now) / 864e5);
 
@@ -208,11 +36,22 @@ function renderNextLevel(nextLevel) {
         </div>`).join('')
     : '';
 
+  const pathHtml = criticalPath && criticalPath.length
+    ? criticalPath.slice(0, 6).map(i => `
+        <div class="insight-row">
+          <span class="insight-row-label">
+            <span class="path-char">${i.label}</span>
+            ${i.type} · ${i.locked ? `locked until ${fmtDateTime(i.unlockDate)}` : i.started ? `App ${i.stage}` : 'lesson'}
+          </span>
+          <span class="insight-row-val warn" style="font-size:13px">Guru ${fmtDateTime(i.guruDate)}</span>
+        </div>`).join('')
+    : '';
+
   const mainContent = imminent
     ? `<div class="next-level-imminent">
         <div class="imminent-badge">⚡ Level up ready</div>
         <p style="font-size:12px;color:var(--muted);margin-top:8px;line-height:1.6">
-          All your radicals and kanji are at Guru or above.
+          ${kanjiAtGuru} of ${totalKanji} kanji are at Guru — past the 90% needed to level up.
           Your next level-up is available at your next review session.
         </p>
         <div class="insight-row">
@@ -232,9 +71,13 @@ function renderNextLevel(nextLevel) {
         </div>
         <div class="next-level-meta">
           <div class="insight-row">
-            <span class="insight-row-label">Items blocking level-up</span>
+            <span class="insight-row-label">Kanji still needed at Guru</span>
             <span class="insight-row-val ${blockingCount > 20 ? 'bad' : blockingCount > 5 ? 'warn' : 'good'}">${blockingCount}</span>
           </div>
+          <div class="insight-row">
+            <span class="insight-row-label">Kanji at Guru (90% rule)</span>
+            <span class="insight-row-val">${kanjiAtGuru} / ${kanjiRequired} of ${totalKanji}</span>
+          </div>
           ${stageHtml ? `
           <div class="insight-row" style="align-items:center">
             <span class="insight-row-label">By SRS stage</span>
@@ -242,46 +85,137 @@ function renderNextLevel(nextLevel) {
           </div>` : ''}
           ${criticalItem ? `
           <div class="insight-row">
-            <span class="insight-row-label">Last item hits Guru</span>
+            <span class="insight-row-label">Critical kanji ${criticalItem.label} hits Guru</span>
             <span class="insight-row-val warn">${fmtDateTime(criticalItem.guruDate)}</span>
           </div>` : ''}
           <div class="insight-row">
             <span class="insight-row-label">Review windows used</span>
             <span class="insight-row-val" style="font-size:12px;font-family:'DM Mono',monospace">
-              ${REVIEW_WINDOWS.map(h => `${h % 12 || 12}${h < 12 ? 'am' : 'pm'}`).join(' & ')}
+              ${scheduleSummary()}
             </span>
           </div>
         </div>
       </div>
+      ${pathHtml ? `
+      <div class="eyebrow" style="margin:20px 0 0">Critical path</div>
+      ${pathHtml}` : ''}
       <div class="lever-tip" style="margin-top:16px">
         💡 ${daysUntil < 2
           ? `You're close! Don't miss your next review window — one missed slot pushes this back by hours.`
-          : `You have ${blockingCount} items still working through the SRS. Stay consistent with your 9am and 6pm windows.`}
+          : `You need ${blockingCount} more kanji at Guru to level up. Stay consistent with your review windows.`}
       </div>`;
 
+  document.getElementById('next-level-sub').textContent =
+    `Based on your current assignments and review schedule (${scheduleSummary()})`;
   document.getElementById('next-level-content').innerHTML = mainContent;
   document.getElementById('next-level-section').style.display = 'block';
 }
 
 // ── render speedup ─────────────────────────────────────────────────────────
-function renderSpeedup(speedup) {
-  const left = 60 - _currentLevel;
+function fmtInterval(ms) {
+  const h = ms / 3600000;
+  return h < 72 ? `${Math.round(h)}h` : fmtDays(h / 24);
+}
+
+function stageName(position, system) {
+  const { passing_stage_position: pass, burning_stage_position: burn } = system.data;
+  if (position >= burn) return 'Burned';
+  if (position >= pass) return 'Guru';
+  return `App ${position}`;
+}
+
+// Apprentice ladder of the projection SRS system, with the window-aware time to Guru
+function srsLadderHtml(system) {
+  const { starting_stage_position: first, passing_stage_position: pass } = system.data;
+  const lesson = nextWindow(new Date());
+  const toGuru = (simulateToGuru(lesson, first, system) - lesson) / 864e5;
+  const steps = [];
+  for (let p = first; p < pass; p++) {
+    const to = p + 1 === pass ? 'Guru' : p + 1;
+    steps.push(`
+        <div class="srs-step${p === first ? ' highlight' : ''}">
+          <div class="srs-step-stage">App ${p}→${to}</div>
+          <div class="srs-step-time">${fmtInterval(stageIntervalMs(system, p))}</div>
+          ${p === first ? '<div class="srs-step-note">most critical</div>' : ''}
+        </div>`);
+  }
+  return `<div class="srs-ladder">
+        ${steps.join('\n        <div class="srs-arrow">→</div>')}
+        <div class="srs-arrow">→</div>
+        <div class="srs-step" style="border-color:var(--gold)">
+          <div class="srs-step-stage">${stageName(pass, system)} ✓</div>
+          <div class="srs-step-time" style="color:var(--gold)">~${fmtDays(toGuru)}</div>
+        </div>
+      </div>`;
+}
+
+const pctOf = ({ correct, incorrect }) => correct + incorrect ? (correct / (correct + incorrect)) * 100 : null;
+
+function accuracyBreakdownHtml(byType) {
+  const cell = side => {
+    const pct = pctOf(side);
+    if (pct == null) return '<span class="acc-cell muted">—</span>';
+    const cls = pct >= 90 ? 'good' : pct >= 75 ? 'warn' : 'bad';
+    return `<span class="acc-cell ${cls}">${pct.toFixed(1)}%</span>`;
+  };
+  return `<div class="acc-table">
+      <div class="acc-table-row head"><span></span><span>Meaning</span><span>Reading</span></div>
+      ${['radical', 'kanji', 'vocabulary'].filter(t => byType[t]).map(t => `
+      <div class="acc-table-row">
+        <span>${t}</span>${cell(byType[t].meaning)}${t === 'radical' ? '<span class="acc-cell muted">n/a</span>' : cell(byType[t].reading)}
+      </div>`).join('')}
+    </div>`;
+}
+
+function leechListHtml(leeches) {
+  return leeches.top.map(l => `
+      <div class="insight-row">
+        <span class="insight-row-label">
+          <span class="path-char">${l.label}</span>
+          ${l.type}${l.meaning ? ` · ${l.meaning}` : ''}${l.reading ? ` · ${l.reading}` : ''}
+        </span>
+        <span class="insight-row-val ${l.percentage < 70 ? 'bad' : 'warn'}" style="font-size:12px;font-family:'DM Mono',monospace">
+          ${l.incorrect} wrong · ${l.percentage}% · streak ${l.streak}
+        </span>
+      </div>`).join('');
+}
+
+function renderSpeedup(speedup, leeches) {
+  const left = levelsLeft();
   const currentDate = addDays(new Date(), left * _stats.median);
-  const { windowDaysPerLevel, windowDate } = calcWindowRoadTo60();
-  const noMistakeDate = addDays(new Date(), left * Math.max(windowDaysPerLevel, _stats.median - speedup.extraDaysPerLevel));
+  const windowDaysPerLevel = speedup.expectedDaysPerLevel;
+  const windowDate    = addDays(new Date(), left * windowDaysPerLevel);
+  const noMistakeDate = addDays(new Date(), left * speedup.perfectDaysPerLevel);
+  const ladder   = projectionSrsSystem();
+  const firstGapMs = stageIntervalMs(ladder, ladder.data.starting_stage_position);
+  const firstGap   = fmtInterval(firstGapMs);
+  const typical    = typicalWindows();
+  const lessonAt   = typical[0];
+  const dueAt      = lessonAt + Math.round(firstGapMs / 60000);
+  const followUp   = typical.find(m => m > dueAt);
+  const lessonPlan = !typical.length
+    ? 'add at least one review window so your lessons have a slot.'
+    : dueAt >= 1440
+    ? `do your lessons at ${fmtClock(lessonAt)} and catch the ${firstGap} review at your next session.`
+    : `do your lessons at ${fmtClock(lessonAt)}, catch the ${firstGap} review by ${fmtClock(dueAt)}${
+        followUp != null ? `, then it flows into the ${fmtClock(followUp)} window naturally` : ''}.`;
+
+  // The side most of the named leeches slip on
+  const drill    = leeches ? leeches.top.slice(0, 3) : [];
+  const weakSide = drill.filter(l => l.weakSide === 'reading').length * 2 > drill.length ? 'reading' : 'meaning';
 
   const accColor = speedup.accuracy >= 90 ? '#4a7c59' : speedup.accuracy >= 75 ? 'var(--gold)' : 'var(--red)';
   const accTip   = speedup.accuracy >= 90
     ? 'Great accuracy — review windows are your main lever.'
     : speedup.accuracy >= 75
     ? 'Improving accuracy will meaningfully speed up your levels.'
-    : 'Accuracy is your biggest bottleneck — each wrong answer adds ~20h per item.';
+    : `Accuracy is your biggest bottleneck — mistakes add ~${fmtDays(speedup.extraDaysPerLevel)} to every level.`;
 
   document.getElementById('speedup-section').innerHTML = `
     <div class="speedup-header">
       <div class="eyebrow" style="color:var(--gold);margin-bottom:4px">How to go faster</div>
-      <h2 class="speedup-title">Your road to Level 60</h2>
-      <p class="speedup-sub">9am & 6pm review windows · two levers</p>
+      <h2 class="speedup-title">Your road to Level ${targetLevel()}</h2>
+      <p class="speedup-sub">${scheduleSummary()} review windows · two levers</p>
     </div>
 
     <div class="proj-grid">
@@ -292,55 +226,29 @@ function renderSpeedup(speedup) {
         <div class="proj-detail">${fmtDays(_stats.median)} / level</div>
       </div>
       <div class="proj-box realistic">
-        <div class="proj-label">9am & 6pm windows only</div>
+        <div class="proj-label">Your review windows only</div>
         <div class="proj-date">${fmtDate(windowDate)}</div>
         <div class="proj-rel">${relDays(windowDate)}</div>
-        <div class="proj-detail">${fmtDays(windowDaysPerLevel)} / level (simulated)</div>
+        <div class="proj-detail">${fmtDays(windowDaysPerLevel)} / level at your accuracy</div>
       </div>
       <div class="proj-box best">
         <div class="proj-label">Windows + perfect accuracy</div>
         <div class="proj-date">${fmtDate(noMistakeDate)}</div>
         <div class="proj-rel">${relDays(noMistakeDate)}</div>
-        <div class="proj-detail">${fmtDays(windowDaysPerLevel)} / level + no mistakes</div>
+        <div class="proj-detail">${fmtDays(speedup.perfectDaysPerLevel)} / level, no mistakes</div>
       </div>
     </div>
 
     <div class="card gold">
       <div class="eyebrow">Lever 1 — Hit every review window</div>
       <p class="lever-intro">
-        Your two daily windows are 9am and 6pm. The SRS intervals are fixed — miss a window
-        and the item waits until your next slot. The 4h Apprentice 1 window is the most critical:
-        do your lessons at 9am, catch the 4h review by 1pm, then it flows into the 6pm window naturally.
+        Your review windows are ${scheduleSummary()}. The SRS intervals are fixed — miss a window
+        and the item waits until your next slot. The ${firstGap} Apprentice 1 window is the most critical:
+        ${lessonPlan}
       </p>
-      <div class="srs-ladder">
-        <div class="srs-step highlight">
-          <div class="srs-step-stage">App 1→2</div>
-          <div class="srs-step-time">4h</div>
-          <div class="srs-step-note">most critical</div>
-        </div>
-        <div class="srs-arrow">→</div>
-        <div class="srs-step">
-          <div class="srs-step-stage">App 2→3</div>
-          <div class="srs-step-time">8h</div>
-        </div>
-        <div class="srs-arrow">→</div>
-        <div class="srs-step">
-          <div class="srs-step-stage">App 3→4</div>
-          <div class="srs-step-time">23h</div>
-        </div>
-        <div class="srs-arrow">→</div>
-        <div class="srs-step">
-          <div class="srs-step-stage">App 4→Guru</div>
-          <div class="srs-step-time">47h</div>
-        </div>
-        <div class="srs-arrow">→</div>
-        <div class="srs-step" style="border-color:var(--gold)">
-          <div class="srs-step-stage">Guru ✓</div>
-          <div class="srs-step-time" style="color:var(--gold)">~5d</div>
-        </div>
-      </div>
+      ${srsLadderHtml(ladder)}
       <div class="insight-row">
-        <span class="insight-row-label">Your median vs 9am/6pm window pace</span>
+        <span class="insight-row-label">Your median vs review-window pace</span>
         <span class="insight-row-val">${fmtDays(_stats.median)} vs ${fmtDays(windowDaysPerLevel)}</span>
       </div>
       <div class="insight-row">
@@ -352,18 +260,27 @@ function renderSpeedup(speedup) {
         <span class="insight-row-val good">${fmtDays(speedup.windowLostPerLevel * left)}</span>
       </div>
       <div class="lever-tip">
-        💡 Do lessons at 9am. The 4h Apprentice 1 review will be due by 1pm — do it then.
-        It'll be due again around midnight, but catching it at the 6pm window the next day
-        still keeps you on the fast track. Consistency beats perfection.
+        💡 ${_habits?.advice.length
+          ? `${_habits.advice.map(a => `${a.text}.`).join(' ')} That's from ${_habits.levels.length} of your own levels.`
+          : typical.length && dueAt < 1440
+          ? `Do lessons at ${fmtClock(lessonAt)}. The ${firstGap} Apprentice 1 review will be due by ${fmtClock(dueAt)} — do it then.
+        ${followUp != null ? `If you can't, catching it at your ${fmtClock(followUp)} window still keeps you on the fast track.` : ''}`
+          : `Do lessons at the start of your first session so the ${firstGap} Apprentice 1 review lands in a later one.`}
+        Consistency beats perfection.
       </div>
     </div>
 
     <div class="card gold">
       <div class="eyebrow">Lever 2 — Get reviews right</div>
       <p class="lever-intro">
-        Every wrong answer bumps an item back one SRS stage, adding ~20h before it's reviewed again
-        and potentially pushing it past your next window slot. For radicals and kanji that gate
-        your level-up, each mistake is a direct delay.
+        Every review with wrong answers drops the item back down the SRS ladder — one stage per two
+        misses, twice that from Guru up — and it has to climb the intervals again. For radicals and
+        kanji that gate your level-up, each mistake is a direct delay. The numbers below replay a level
+        ${MISTAKE_TRIALS} times on your review windows at your real miss rates
+        (kanji: ${(speedup.rates.kanji.meaning * 100).toFixed(0)}% meaning,
+        ${(speedup.rates.kanji.reading * 100).toFixed(0)}% reading).${speedup.approximate ? `
+        Without this level's subject list, each kanji is assumed to wait on one radical, so treat
+        the level times as a rough guide.` : ''}
       </p>
       <div class="acc-display">
         <div class="acc-circle" style="--acc-color:${accColor}">
@@ -380,20 +297,34 @@ function renderSpeedup(speedup) {
             <span class="insight-row-label">Incorrect answers</span>
             <span class="insight-row-val ${speedup.accuracy < 75 ? 'bad' : 'warn'}">${speedup.incorrect.toLocaleString()}</span>
           </div>
+          <div class="insight-row">
+            <span class="insight-row-label">Level time at your accuracy vs perfect</span>
+            <span class="insight-row-val">${fmtDays(speedup.expectedDaysPerLevel)} vs ${fmtDays(speedup.perfectDaysPerLevel)}</span>
+          </div>
           <div class="insight-row">
             <span class="insight-row-label">Extra days per level from mistakes</span>
             <span class="insight-row-val ${speedup.extraDaysPerLevel > 3 ? 'bad' : speedup.extraDaysPerLevel > 1 ? 'warn' : 'good'}">${fmtDays(speedup.extraDaysPerLevel)}</span>
           </div>
           <div class="insight-row">
-            <span class="insight-row-label">Level 60 on windows + perfect accuracy</span>
+            <span class="insight-row-label">Level ${targetLevel()} on windows + perfect accuracy</span>
             <span class="insight-row-val good">${fmtDate(noMistakeDate)}</span>
           </div>
         </div>
       </div>
+      ${leeches ? `
+      <div class="eyebrow" style="margin:20px 0 8px">Accuracy by type</div>
+      ${accuracyBreakdownHtml(leeches.byType)}
+      ${leeches.top.length ? `
+      <div class="eyebrow" style="margin:20px 0 0">Top leeches · ${leeches.leechCount} items score ${LEECH_THRESHOLD}+</div>
+      ${leechListHtml(leeches)}` : ''}` : ''}
       <div class="lever-tip">
-        💡 Before each review session, take a breath and recall the item before answering.
+        💡 ${leeches && leeches.top.length
+          ? `Drill ${drill.map(l => `<strong>${l.label}</strong>${l.meaning ? ` (${l.meaning})` : ''}`).join(', ')}
+        first — mostly their ${weakSide}. Add your top ${leeches.top.length} leeches to the WaniKani
+        self-study quiz and recall each one before answering in reviews.`
+          : `Before each review session, take a breath and recall the item before answering.
         Leeches (items you keep getting wrong) are worth drilling separately —
-        the WaniKani self-study quiz helps a lot with this.
+        the WaniKani self-study quiz helps a lot with this.`}
       </div>
     </div>
   `;
@@ -401,77 +332,300 @@ function renderSpeedup(speedup) {
   document.getElementById('speedup-section').style.display = 'block';
 }
 
-// ── WaniKani API fetch ─────────────────────────────────────────────────────
-async function fetchWK(token) {
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Wanikani-Revision': '20170710'
-  };
+// ── render study habits ────────────────────────────────────────────────────
+const HABIT_LABELS = { morning: 'Lessons before noon', slack: 'Review delay', lag: 'Lesson lag' };
 
-  setLoadingMsg('Fetching user data...');
-  const uRes = await fetch('https://api.wanikani.com/v2/user', { headers });
-  if (uRes.status === 401) throw new Error('Invalid API key — check wanikani.com/settings/personal_access_tokens');
-  if (!uRes.ok) throw new Error(`API error ${uRes.status}`);
-  const user = await uRes.json();
-
-  setLoadingMsg('Fetching level progressions...');
-  let url = 'https://api.wanikani.com/v2/level_progressions';
-  let progressions = [];
-  while (url) {
-    const r = await fetch(url, { headers });
-    if (!r.ok) throw new Error(`API error ${r.status}`);
-    const j = await r.json();
-    progressions = progressions.concat(j.data);
-    url = j.pages?.next_url || null;
-  }
-
-  const currentLevel = user.data.current_level;
-  const levelNums = Array.from({ length: currentLevel }, (_, i) => i + 1).join(',');
-
-  setLoadingMsg('Fetching review statistics...');
-  const rsRes = await fetch(
-    `https://api.wanikani.com/v2/review_statistics?levels=${levelNums}`,
-    { headers }
-  );
-  let reviewStats = [];
-  if (rsRes.ok) {
-    const rsJson = await rsRes.json();
-    reviewStats = rsJson.data || [];
-    let next = rsJson.pages?.next_url || null;
-    while (next) {
-      const r = await fetch(next, { headers });
-      const j = await r.json();
-      reviewStats = reviewStats.concat(j.data);
-      next = j.pages?.next_url || null;
-    }
+const habitStrength = r => Math.abs(r) < HABIT_MIN_R ? 'none' : Math.abs(r) < 0.4 ? 'weak' : Math.abs(r) < 0.6 ? 'moderate' : 'strong';
+
+function renderHabits() {
+  const card = document.getElementById('habits-card');
+  card.style.display = _habits?.lessons ? 'block' : 'none';
+  if (!_habits?.lessons) return;
+  const h = _habits;
+
+  const rows = h.comparisons.map(c => `
+    <div class="hb-row">
+      <span>${HABIT_LABELS[c.key]}</span>
+      <span>${c.r == null ? '—' : `r ${c.r.toFixed(2)} · ${habitStrength(c.r)}`}</span>
+      <span>${c.split ? `${fmtDays(Math.abs(c.split.faster))} ${c.split.faster >= 0 ? 'faster' : 'slower'}` : '—'}</span>
+    </div>`).join('');
+
+  document.getElementById('habits-content').innerHTML = `
+    ${habitHeatmapSvg(h.heatmap)}
+    <div class="insight-row">
+      <span class="insight-row-label">Typical wait from an item unlocking to its lesson</span>
+      <span class="insight-row-val">${h.lessonWait == null ? '—' : fmtHours(h.lessonWait)}</span>
+    </div>
+    <div class="insight-row">
+      <span class="insight-row-label">Typical delay per review on the way to Guru</span>
+      <span class="insight-row-val">${h.reviewSlack == null ? '—' : fmtHours(h.reviewSlack)}</span>
+    </div>
+    ${rows ? `
+      <div class="bt-table">
+        <div class="hb-row head"><span>Habit</span><span>Tracks level time</span><span>Levels with the habit</span></div>
+        ${rows}
+      </div>
+      <p class="lever-intro" style="margin-top:10px">
+        r runs from −1 to 1: below zero, more of the habit went with shorter levels. The last column compares
+        your median level with the habit (mostly before noon, reviews quicker than your usual, lessons within
+        a day) against the rest.
+      </p>
+      <div class="lever-tip">💡 ${h.advice.length
+        ? h.advice.map(a => `${a.text}.`).join(' ')
+        : 'None of these habits clearly lines up with faster levels yet, so keep doing what you are doing.'}</div>`
+    : `<p class="lever-intro">Comparing habits needs ${HABIT_MIN_LEVELS} levels with at least ${HABIT_MIN_ITEMS} lessons each in this run.</p>`}`;
+}
+
+// Lessons started per weekday × hour, Monday first
+function habitHeatmapSvg(heatmap) {
+  const W = 640, padL = 36, padB = 18, cell = (W - padL - 4) / 24, rowH = 16, H = rowH * 7 + padB;
+  const max = Math.max(1, ...heatmap.flat());
+  const days = [1, 2, 3, 4, 5, 6, 0];
+  const cells = days.map((day, row) => heatmap[day].map((n, hour) => `
+    <rect x="${(padL + hour * cell).toFixed(1)}" y="${row * rowH}" width="${(cell - 2).toFixed(1)}" height="${rowH - 2}"
+      class="${n ? 'hm-cell' : 'hm-empty'}" ${n ? `fill-opacity="${(0.12 + 0.88 * n / max).toFixed(2)}"` : ''}>
+      <title>${DAY_NAMES[day]} ${fmtClock(hour * 60)} · ${n} lesson${n === 1 ? '' : 's'}</title></rect>`).join('')
+    + `<text x="${padL - 6}" y="${row * rowH + rowH - 5}" class="mc-text" text-anchor="end">${DAY_NAMES[day]}</text>`).join('');
+  const hours = [0, 3, 6, 9, 12, 15, 18, 21].map(hr =>
+    `<text x="${(padL + hr * cell).toFixed(1)}" y="${H - 4}" class="mc-text">${fmtClock(hr * 60)}</text>`).join('');
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Lessons started by weekday and hour">${cells}${hours}</svg>`;
+}
+
+// ── render workload ────────────────────────────────────────────────────────
+const WORKLOAD_COLORS = { radical: 'wl-radical', kanji: 'wl-kanji', vocabulary: 'wl-vocab' };
+
+function renderWorkload() {
+  const assignments = _data.allAssignments || [];
+  document.getElementById('workload-section').style.display = assignments.length ? 'block' : 'none';
+  if (!assignments.length) return;
+
+  const paced = computeNextLevel(_data.assignments || [], _data.subjects || [], { lessonsPerDay: _lessonsPerDay });
+  const wl = forecastWorkload(assignments, paced, { lessonsPerDay: _lessonsPerDay, days: _workloadDays });
+  const shift = _nextLevel ? (paced.levelUpDate - _nextLevel.levelUpDate) / 864e5 : 0;
+
+  document.getElementById('workload-lessons').value = _lessonsPerDay;
+  document.getElementById('workload-lessons-val').textContent = _lessonsPerDay;
+  document.getElementById('workload-days').value = String(_workloadDays);
+  document.getElementById('workload-sub').textContent =
+    `${wl.queued} lesson${wl.queued === 1 ? '' : 's'} waiting · simulated on your review schedule, assuming every answer is right`;
+
+  document.getElementById('workload-summary').innerHTML = `
+    <div class="proj-box realistic">
+      <div class="proj-label">Reviews per day</div>
+      <div class="proj-date">~${Math.round(wl.avgReviews)}</div>
+      <div class="proj-rel">${wl.lessons} lessons over ${_workloadDays} days</div>
+    </div>
+    <div class="proj-box current">
+      <div class="proj-label">Busiest day</div>
+      <div class="proj-date">${wl.peak.reviews}</div>
+      <div class="proj-rel">${wl.peak.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</div>
+    </div>
+    <div class="proj-box best">
+      <div class="proj-label">Level ${_currentLevel + 1} at this pace</div>
+      <div class="proj-date" style="font-size:15px">${fmtDateTime(paced.levelUpDate)}</div>
+      <div class="proj-rel">${shift < 1 / 24 ? 'no later than doing every lesson at once' : `${fmtDays(shift)} later than doing every lesson at once`}</div>
+    </div>`;
+
+  document.getElementById('workload-chart').innerHTML = workloadSvg(wl.days);
+
+  const windows = wl.windows.slice(0, 8);
+  document.getElementById('workload-windows').innerHTML = windows.length
+    ? windows.map(w => `
+        <div class="insight-row">
+          <span class="insight-row-label">${fmtDateTime(w.at)}</span>
+          <span class="insight-row-val" style="font-size:13px">
+            ${w.reviews} review${w.reviews === 1 ? '' : 's'}
+            <span class="wl-split">${WORKLOAD_TYPES.filter(t => w[t]).map(t => `${w[t]} ${t}`).join(' · ')}</span>
+          </span>
+        </div>`).join('')
+    : '<p class="lever-intro">Nothing comes up for review in this period.</p>';
+}
+
+// Stacked reviews per day by subject type; lesson counts along the bottom
+function workloadSvg(days) {
+  const W = 640, H = 180, padX = 28, padY = 16, base = H - padY - 12;
+  const top = Math.max(10, ...days.map(d => d.reviews));
+  const slot = (W - padX * 2) / days.length;
+  const h = n => (n / top) * (base - padY);
+
+  const bars = days.map((d, i) => {
+    let y = base;
+    const segs = WORKLOAD_TYPES.filter(t => d[t]).map(t => {
+      y -= h(d[t]);
+      return `<rect x="${(padX + i * slot + 1).toFixed(1)}" y="${y.toFixed(1)}" width="${(slot - 2).toFixed(1)}" height="${h(d[t]).toFixed(1)}" class="${WORKLOAD_COLORS[t]}" />`;
+    }).join('');
+    const label = d.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return `<g><title>${label} · ${d.reviews} reviews (${WORKLOAD_TYPES.map(t => `${d[t]} ${t}`).join(', ')}) · ${d.lessons} lessons</title>
+      <rect x="${(padX + i * slot).toFixed(1)}" y="${padY}" width="${slot.toFixed(1)}" height="${base - padY}" class="wl-hit" />
+      ${segs}
+      ${d.lessons ? `<text x="${(padX + (i + 0.5) * slot).toFixed(1)}" y="${H - padY + 2}" class="mc-text" text-anchor="middle">${d.lessons}</text>` : ''}
+    </g>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Reviews due per day">
+    <line x1="${padX}" x2="${W - padX}" y1="${base}" y2="${base}" class="mc-axis" />
+    ${bars}
+    <text x="${padX - 4}" y="${padY + 3}" class="mc-text" text-anchor="end">${top}</text>
+    <text x="${padX - 4}" y="${base + 3}" class="mc-text" text-anchor="end">0</text>
+    <text x="${padX}" y="${H - 2}" class="mc-text">${fmtShort(days[0].date)}</text>
+  </svg>
+  <p class="footnote" style="margin:0 0 8px">
+    <span class="wl-key wl-radical"></span> radicals &nbsp;·&nbsp;
+    <span class="wl-key wl-kanji"></span> kanji &nbsp;·&nbsp;
+    <span class="wl-key wl-vocab"></span> vocabulary &nbsp;·&nbsp;
+    numbers under the bars are lessons that day
+  </p>`;
+}
+
+function setLessonsPerDay(n) {
+  _lessonsPerDay = Math.max(1, Number(n) || DEFAULT_LESSONS_PER_DAY);
+  if (_data) renderWorkload();
+}
+
+function setWorkloadDays(n) {
+  _workloadDays = Number(n);
+  if (_data) renderWorkload();
+}
+
+// ── render planner ─────────────────────────────────────────────────────────
+function renderPlanner() {
+  const card = document.getElementById('plan-card');
+  const max = levelCap();
+  card.style.display = _stats && _currentLevel < max ? 'block' : 'none';
+  if (!_stats || _currentLevel >= max) return;
+
+  _planLevel = Math.min(max, Math.max(_currentLevel + 1, _planLevel));
+  document.getElementById('plan-level').innerHTML = Array.from({ length: max - _currentLevel }, (_, i) => _currentLevel + 1 + i)
+    .map(l => `<option value="${l}" ${l === _planLevel ? 'selected' : ''}>${l}</option>`).join('');
+  const input = document.getElementById('plan-date');
+  if (!input.value) {
+    input.value = dateValue(projectDate((_planLevel - _currentLevel) * _stats.median));
   }
 
-  setLoadingMsg('Fetching current assignments...');
-  const aRes = await fetch(
-    `https://api.wanikani.com/v2/assignments?levels=${currentLevel}`,
-    { headers }
-  );
-  let assignments = [];
-  if (aRes.ok) {
-    const aJson = await aRes.json();
-    assignments = aJson.data || [];
-    let next = aJson.pages?.next_url || null;
-    while (next) {
-      const r = await fetch(next, { headers });
-      const j = await r.json();
-      assignments = assignments.concat(j.data);
-      next = j.pages?.next_url || null;
-    }
+  const itemsPerLevel = (_data.subjects || []).filter(s => !s.data.hidden_at).length || AVG_LEVEL_ITEMS;
+  const plan = planFinish(_planLevel, new Date(`${input.value}T23:59:59`), {
+    levelUp: _nextLevel?.levelUpDate,
+    itemsPerLevel,
+    accuracy: answerTotals(_data.reviewStats || []).accuracy,
+    breaks: activeBreaks(),
+  });
+  const el = document.getElementById('plan-result');
+
+  const warning = !plan.srsPossible
+    ? `Not possible — even reviewing every item the moment it comes up, a level takes at least
+       ${fmtDays(plan.srsFloorDays)}. On your review windows the earliest is ${fmtDate(plan.earliest)}.`
+    : !plan.feasible
+    ? `Faster than your review windows allow — a perfect level on your schedule takes
+       ${fmtDays(plan.minDaysPerLevel)}. Add review windows or aim for ${fmtDate(plan.earliest)} or later.`
+    : '';
+  const warnHtml = warning ? `<div class="error-box warn-box" style="display:block;margin-top:16px">${warning}</div>` : '';
+
+  if (plan.after <= 0) {
+    el.innerHTML = `
+      <div class="insight-row">
+        <span class="insight-row-label">Level ${_planLevel} is projected for</span>
+        <span class="insight-row-val ${plan.feasible ? 'good' : 'bad'}">${fmtDateTime(plan.levelUp)}</span>
+      </div>${warnHtml}`;
+    return;
   }
 
-  return { user, progressions, reviewStats, assignments };
+  const vsMedian = plan.daysPerLevel >= _stats.median
+    ? 'your median pace already gets you there'
+    : `${Math.round((1 - plan.daysPerLevel / _stats.median) * 100)}% faster than your median`;
+
+  el.innerHTML = `
+    <div class="proj-grid" style="margin-top:16px">
+      <div class="proj-box ${plan.feasible ? 'best' : 'current'}">
+        <div class="proj-label">Days per level</div>
+        <div class="proj-date">${plan.daysPerLevel > 0 ? plan.daysPerLevel.toFixed(1) : '—'}</div>
+        <div class="proj-rel">${plan.daysPerLevel > 0 ? vsMedian : 'no time left after this level'}</div>
+      </div>
+      <div class="proj-box realistic">
+        <div class="proj-label">Lessons per day</div>
+        <div class="proj-date">${plan.lessonsPerDay ? Math.ceil(plan.lessonsPerDay) : '—'}</div>
+        <div class="proj-rel">${itemsPerLevel} items a level</div>
+      </div>
+      <div class="proj-box current">
+        <div class="proj-label">Reviews per day</div>
+        <div class="proj-date">${plan.reviewsPerDay ? `~${Math.round(plan.reviewsPerDay)}` : '—'}</div>
+        <div class="proj-rel">once your pipeline fills up</div>
+      </div>
+    </div>
+    <div class="insight-row">
+      <span class="insight-row-label">Level ${_currentLevel + 1} first, then ${plan.after} more level${plan.after === 1 ? '' : 's'}</span>
+      <span class="insight-row-val">from ${fmtDateTime(plan.levelUp)}</span>
+    </div>
+    <div class="insight-row">
+      <span class="insight-row-label">Fastest level on your review windows</span>
+      <span class="insight-row-val">${fmtDays(plan.minDaysPerLevel)}</span>
+    </div>${warnHtml}`;
+}
+
+function setPlanLevel(level) {
+  _planLevel = Number(level);
+  document.getElementById('plan-date').value = '';
+  renderPlanner();
+}
+
+// ── local cache (IndexedDB) ────────────────────────────────────────────────
+// One record per WaniKani user. The token itself is never stored — records are
+// looked up by a SHA-256 hash of it so a returning visit can render instantly.
+const CACHE_DB = 'wk-predictor';
+const CACHE_STORE = 'users';
+
+function openCache() {
+  return new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    const req = indexedDB.open(CACHE_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(CACHE_STORE, { keyPath: 'userId' });
+      store.createIndex('tokenHash', 'tokenHash', { unique: false });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+}
+
+async function hashToken(token) {
+  if (!globalThis.crypto?.subtle) return null;
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function cacheLoad(tokenHash) {
+  const db = tokenHash && await openCache();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const tx = db.transaction(CACHE_STORE);
+    const req = tx.objectStore(CACHE_STORE).index('tokenHash').get(tokenHash);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+    tx.oncomplete = tx.onerror = () => db.close();
+  });
+}
+
+async function cacheSave(record) {
+  const db = record.tokenHash && await openCache();
+  if (!db) return;
+  return new Promise(resolve => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    tx.objectStore(CACHE_STORE).put(record);
+    tx.oncomplete = tx.onerror = () => {
+      db.close();
+      resolve();
+    };
+  });
 }
 
 // ── render ─────────────────────────────────────────────────────────────────
 function render(data, isDemo) {
   const lvl = data.user.data.current_level ?? data.user.data.level;
-  _currentLevel = lvl;
-  const stats = computeStats(data.progressions, lvl);
+  configureEngine({ currentLevel: lvl, srsSystems: data.srsSystems || [], subscription: data.user.data.subscription || null });
+  _data = data;
+  _runs = splitRuns(data.progressions, lvl, data.resets);
+  _activeRun = _runs.length - 1;
+  _breaks = loadBreaks(data.user.data.id);
+  const stats = computeStats(_runs[_activeRun].progressions, lvl, data.allAssignments, activeBreaks());
   _stats = stats;
 
   if (!stats) {
@@ -480,8 +634,54 @@ function render(data, isDemo) {
     return;
   }
 
+  renderTargetLevel();
+  updatePrediction();
+  renderBacktest();
+  runForecast();
+  renderRunView();
+  renderRunComparison();
+
+  renderScheduleEditor();
+  renderBreaks();
+  renderProjections();
+
+  if (isDemo) document.getElementById('history-card').style.display = 'none';
+  else renderHistory(data.user.data.id);
+
+  const badge = document.getElementById('demo-badge');
+  badge.style.display = isDemo ? 'block' : 'none';
+  badge.textContent = isDemo ? data.badge || `Demo data · ${data.demoName || 'sample profile'} — not your account` : '';
+  document.getElementById('breaks-card').style.display = data.readOnly ? 'none' : '';
+  document.getElementById('share-row').style.display = data.readOnly ? 'none' : '';
+
+  document.getElementById('input-card').style.display = 'none';
+  document.getElementById('loading').style.display = 'none';
+  document.getElementById('results').style.display = 'block';
+  document.getElementById('reset-btn').style.display = 'block';
+}
+
+// ── run view ───────────────────────────────────────────────────────────────
+// Stats grid and chart for the selected run; projections always use the current one
+function renderRunView() {
+  const run   = _runs[_activeRun];
+  const stats = run.current ? _stats : computeStats(run.progressions, run.endLevel, _data.allAssignments, activeBreaks());
+
+  document.getElementById('run-row').style.display = _runs.length > 1 ? 'flex' : 'none';
+  document.getElementById('run-row').innerHTML = _runs.map(r => `
+    <button class="run-pill${r.index === _activeRun ? ' active' : ''}" onclick="setRun(${r.index})">
+      ${runLabel(r)}<span>L${r.startLevel}→${r.endLevel} · ${fmtShort(r.start)}</span>
+    </button>`).join('');
+
+  if (!stats) {
+    document.getElementById('stats-grid').innerHTML = '';
+    document.getElementById('chart-label').textContent = `${runLabel(run)} — fewer than 2 levels passed`;
+    document.getElementById('chart-controls').innerHTML = '';
+    document.getElementById('chart').innerHTML = '';
+    return;
+  }
+
   document.getElementById('stats-grid').innerHTML = [
-    [lvl, 'Current Level'],
+    [run.endLevel, run.current ? 'Current Level' : 'Reached Level'],
     [stats.done.length, 'Levels Passed'],
     [Math.round(stats.median) + 'd', 'Median / Level'],
     [Math.round(stats.recent) + 'd', 'Recent (5 lvls)'],
@@ -489,70 +689,519 @@ function render(data, isDemo) {
     <div class="stat" style="animation-delay:${0.05 + i * 0.07}s">
       <div class="stat-val">${v}</div>
       <div class="stat-lbl">${l}</div>
-    </div>`).join('');
+    </div>`).join('') + phaseBreakdownHtml(stats);
 
-  renderPills();
-  updatePrediction();
+  renderTimeline(run, stats);
+}
 
-  const shown = stats.done.slice(-30);
-  const maxD  = Math.max(...stats.durs);
-
-  document.getElementById('chart-label').textContent =
-    `Days per level — last ${shown.length} levels (current run)`;
-
-  document.getElementById('chart').innerHTML =
-    shown.map(p => {
-      const days   = (new Date(p.data.passed_at) - new Date(p.data.started_at)) / 864e5;
-      const pct    = Math.min(100, (days / maxD) * 100);
-      const col    = days > stats.median * 1.5 ? '#c0392b'
-                   : days < stats.median * 0.7  ? '#c9943a'
-                   : '#4a7c59';
-      const passed = fmtShort(p.data.passed_at);
-      return `<div class="bar-row">
-        <div class="bar-lv">Lv ${p.data.level}</div>
-        <div class="bar-bg"><div class="bar-fill" style="width:${pct}%;background:${col}"></div></div>
-        <div class="bar-meta"><strong>${Math.round(days)}d</strong> · ${passed}</div>
-      </div>`;
-    }).join('')
-    + `<div class="bar-row" style="margin-top:8px">
-        <div class="bar-lv" style="color:var(--red)">Lv ${lvl}</div>
-        <div class="bar-bg"><div class="bar-fill" style="width:35%;background:repeating-linear-gradient(45deg,var(--border),var(--border) 2px,transparent 2px,transparent 6px)"></div></div>
-        <div class="bar-meta" style="font-style:italic;color:var(--muted)">in progress</div>
+function setRun(i) {
+  _activeRun = i;
+  renderRunView();
+}
+
+// Average level as stacked phases, across the whole stats grid
+function phaseBreakdownHtml(stats) {
+  const { lag, active, radicals, kanji } = stats.phaseAvg;
+  const radicalShare = radicals != null ? radicals / (radicals + kanji) : null;
+  const segs = [
+    ['phase-lag', 'lesson lag', lag],
+    ...(radicalShare != null
+      ? [['phase-rad', 'radicals to Guru', active * radicalShare], ['phase-kanji', 'kanji to level-up', active * (1 - radicalShare)]]
+      : [['phase-kanji', 'lessons to level-up', active]]),
+  ];
+  return `
+    <div class="stat phase-stat" style="animation-delay:0.33s">
+      <div class="phase-head">
+        <span>Average level · ${fmtDays(lag + active)}</span>
+        <span><strong>${fmtDays(stats.totalLag)}</strong> lost to lesson lag in total</span>
+      </div>
+      <div class="phase-bar">
+        ${segs.map(([cls, label, d]) => `<div class="phase-seg ${cls}" style="flex:${d.toFixed(3)}" title="${label} · ${fmtDays(d)}"></div>`).join('')}
+      </div>
+      <div class="phase-legend">
+        ${segs.map(([cls, label, d]) => `<span><i class="${cls}"></i>${label} ${fmtDays(d)}</span>`).join('')}
+      </div>
+    </div>`;
+}
+
+// ── level timeline ─────────────────────────────────────────────────────────
+const ROLLING_LEVELS = 5;
+const CHART_ZOOMS = [1, 2, 4];
+
+// Every passed level of the run, plus the open one (in progress, or abandoned at a reset)
+function timelineLevels(run, stats) {
+  const levels = stats.done.map((p, i) => ({
+    ...stats.phases[i],
+    unlocked: p.data.unlocked_at ? new Date(p.data.unlocked_at) : null,
+    started:  new Date(p.data.started_at),
+    passed:   new Date(p.data.passed_at),
+    days:     stats.durs[i],
+    paused:   stats.paused[i],
+  }));
+  const open = run.progressions
+    .filter(p => p.data.level === run.endLevel && !p.data.passed_at)
+    .sort((a, b) => progressionTime(b) - progressionTime(a))[0];
+  const until    = run.current ? new Date() : new Date(run.resetAt);
+  const unlocked = open?.data.unlocked_at ? new Date(open.data.unlocked_at) : null;
+  const started  = open?.data.started_at ? new Date(open.data.started_at) : null;
+  const since    = started || unlocked || levels[levels.length - 1].passed;
+  levels.push({
+    level:    run.endLevel,
+    unlocked, started,
+    passed:   null,
+    open:     run.current ? 'in progress' : `reset ${fmtShort(run.resetAt)}`,
+    until,
+    lag:      unlocked ? Math.max(0, ((started || until) - unlocked) / 864e5) : 0,
+    paused:   started ? breakDaysWithin(since, until, activeBreaks()) : 0,
+    days:     started ? Math.max(0, (until - since) / 864e5 - breakDaysWithin(since, until, activeBreaks())) : 0,
+  });
+  return levels;
+}
+
+const rollingMedian = values => values.map((_, i) => medianOf(values.slice(Math.max(0, i - ROLLING_LEVELS + 1), i + 1)));
+
+function levelTip(l) {
+  return [
+    `Level ${l.level} · ${fmtDays(l.days)}${l.open ? ` so far (${l.open})` : ''}${
+      l.paused >= 1 / 24 ? ` · ${fmtDays(l.paused)} break left out` : ''}`,
+    [l.lag && `lesson lag ${fmtDays(l.lag)}`, l.radicals != null && `radicals ${fmtDays(l.radicals)}`,
+     l.kanji != null && `kanji ${fmtDays(l.kanji)}`].filter(Boolean).join(' · '),
+    l.unlocked && `Unlocked ${fmtDate(l.unlocked)}`,
+    l.started && `Started ${fmtDate(l.started)}`,
+    l.passed && `Passed ${fmtDate(l.passed)}`,
+  ].filter(Boolean).join('\n');
+}
+
+function renderTimeline(run, stats) {
+  const levels = timelineLevels(run, stats);
+  const zoom = CHART_ZOOMS.includes(_chartZoom) ? _chartZoom : 1;
+
+  document.getElementById('chart-controls').innerHTML = `
+    ${[['days', 'Days per level'], ['cumulative', 'Level by date']].map(([k, label]) =>
+      `<button class="chart-pill${k === _chartMode ? ' active' : ''}" onclick="setChartMode('${k}')">${label}</button>`).join('')}
+    <span class="chart-zoom">
+      ${CHART_ZOOMS.map(z =>
+        `<button class="chart-pill${z === zoom ? ' active' : ''}" onclick="setChartZoom(${z})">${z === 1 ? 'All' : `${z}×`}</button>`).join('')}
+    </span>`;
+
+  const where = run.current ? 'current run' : `run ${run.index + 1}, before reset`;
+  if (_chartMode === 'cumulative') {
+    document.getElementById('chart-label').textContent =
+      `Level by date — ${where}${run.current ? `, with the projected path to ${targetLevel()}` : ''}`;
+    document.getElementById('chart').innerHTML = cumulativeSvg(levels, run, stats, zoom);
+  } else {
+    const shown = levels.slice(-Math.max(5, Math.ceil(levels.length / zoom)));
+    document.getElementById('chart-label').textContent =
+      `Days per level — levels ${shown[0].level}–${shown[shown.length - 1].level} (${where})`;
+    document.getElementById('chart').innerHTML = levelBarsSvg(levels, shown.length, stats);
+  }
+}
+
+// Bars for the last `count` levels, with the rolling median and the colour thresholds
+function levelBarsSvg(levels, count, stats) {
+  const W = 640, H = 220, padL = 34, padR = 44, padY = 16, base = H - 22;
+  const offset = levels.length - count;
+  const shown  = levels.slice(offset);
+  const top  = Math.max(stats.median * 1.6, ...shown.map(l => l.days + l.lag));
+  const slot = (W - padL - padR) / count;
+  const x = i => padL + i * slot;
+  const y = d => base - (d / top) * (base - padY);
+  const cls = l => l.open ? 'tl-open'
+    : l.days > stats.median * 1.5 ? 'tl-slow'
+    : l.days < stats.median * 0.7 ? 'tl-fast'
+    : 'tl-ok';
+
+  // Start → pass from the baseline (radicals part lighter), lesson lag stacked on top
+  const seg = (i, from, d, c) => d > 0 ? `<rect x="${(x(i) + slot * 0.15).toFixed(1)}" y="${y(from + d).toFixed(1)}"
+    width="${(slot * 0.7).toFixed(1)}" height="${(y(from) - y(from + d)).toFixed(1)}" class="${c}" />` : '';
+  const bars = shown.map((l, i) => `
+    <g class="tl-bar"><title>${levelTip(l)}</title>
+      <rect x="${x(i).toFixed(1)}" y="${padY}" width="${slot.toFixed(1)}" height="${base - padY}" class="wl-hit" />
+      ${l.radicals != null
+        ? seg(i, 0, l.radicals, `${cls(l)} tl-rad`) + seg(i, l.radicals, l.kanji, cls(l))
+        : seg(i, 0, l.days, cls(l))}
+      ${seg(i, l.days, l.lag, 'tl-lag')}
+    </g>`).join('');
+
+  const rolling = rollingMedian(levels.filter(l => !l.open).map(l => l.days));
+  const line = shown.filter(l => !l.open)
+    .map((l, i) => `${(x(i) + slot / 2).toFixed(1)},${y(rolling[offset + i]).toFixed(1)}`).join(' ');
+
+  const marks = [[1, 'median'], [1.5, '1.5×'], [0.7, '0.7×']].map(([k, label]) => `
+    <line x1="${padL}" x2="${W - padR}" y1="${y(stats.median * k).toFixed(1)}" y2="${y(stats.median * k).toFixed(1)}" class="${k === 1 ? 'mc-mark' : 'mc-grid'}" />
+    <text x="${W - padR + 4}" y="${(y(stats.median * k) + 3).toFixed(1)}" class="mc-text">${label}</text>`).join('');
+
+  const every = Math.ceil(count / 15);
+  const ticks = shown.map((l, i) => i % every && i !== count - 1 ? '' :
+    `<text x="${(x(i) + slot / 2).toFixed(1)}" y="${H - 6}" class="mc-text" text-anchor="middle">${l.level}</text>`).join('');
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Days per level">
+    <defs><pattern id="tl-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+      <rect width="2" height="6" class="tl-hatch" /></pattern></defs>
+    <line x1="${padL}" x2="${W - padR}" y1="${base}" y2="${base}" class="mc-axis" />
+    ${marks}
+    ${bars}
+    ${line ? `<polyline points="${line}" class="tl-rolling" />` : ''}
+    ${ticks}
+    <text x="${padL - 4}" y="${padY + 3}" class="mc-text" text-anchor="end">${Math.round(top)}d</text>
+    <text x="${padL - 4}" y="${base + 3}" class="mc-text" text-anchor="end">0</text>
+  </svg>
+  <p class="footnote" style="margin:0">
+    Line: rolling median of ${ROLLING_LEVELS} levels · hatched: ${shown[count - 1].open} ·
+    grey cap: lesson lag${shown.some(l => l.radicals != null) ? ' · lighter base: radicals to Guru' : ''}
+  </p>`;
+}
+
+// Level reached over calendar time; the current run continues along the projected paces
+function cumulativeSvg(levels, run, stats, zoom) {
+  const W = 640, H = 220, padL = 34, padR = 16, padY = 16, base = H - 22;
+  const open = levels[levels.length - 1];
+  const pts = [{ t: levels[0].started, level: levels[0].level }]
+    .concat(levels.filter(l => !l.open).map(l => ({ t: l.passed, level: l.level + 1, tip: levelTip(l) })))
+    .concat([{ t: open.until, level: open.level }]);
+
+  const goal = Math.max(open.level, targetLevel());
+  const left = goal - open.level;
+  const proj = run.current && left > 0
+    ? ['fast', _activePace, 'slow'].map(k => skipBreaks(open.until, left * paceDays(stats, k), activeBreaks()))
+    : null;
+
+  const t0 = pts[0].t.getTime();
+  const t1 = proj ? proj[2].getTime() : open.until.getTime();
+  const width = (t1 - t0) / zoom;
+  const hi = Math.min(t1, Math.max(t0 + width, open.until.getTime() + width / 2));
+  const lo = hi - width;
+  const [l0, l1] = [pts[0].level, proj ? goal : open.level];
+  const x = t => padL + ((new Date(t).getTime() - lo) / Math.max(1, hi - lo)) * (W - padL - padR);
+  const y = l => base - ((l - l0) / Math.max(1, l1 - l0)) * (base - padY);
+  const xy = (t, l) => `${x(t).toFixed(1)},${y(l).toFixed(1)}`;
+
+  const projHtml = proj ? `
+    <polygon points="${xy(open.until, open.level)} ${xy(proj[0], goal)} ${xy(proj[2], goal)}" class="hist-band" />
+    <line x1="${x(open.until).toFixed(1)}" y1="${y(open.level).toFixed(1)}" x2="${x(proj[1]).toFixed(1)}" y2="${y(goal).toFixed(1)}" class="tl-proj">
+      <title>Level ${goal} around ${fmtDate(proj[1])} at your selected pace</title></line>
+    <line x1="${x(open.until).toFixed(1)}" x2="${x(open.until).toFixed(1)}" y1="${padY}" y2="${base}" class="mc-grid" />
+    <text x="${x(open.until).toFixed(1)}" y="${padY - 4}" class="mc-text" text-anchor="middle">now</text>` : '';
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Level by calendar date">
+    <defs><clipPath id="tl-clip"><rect x="${padL}" y="0" width="${W - padL - padR}" height="${base + 1}" /></clipPath></defs>
+    <line x1="${padL}" x2="${W - padR}" y1="${base}" y2="${base}" class="mc-axis" />
+    <g clip-path="url(#tl-clip)">
+      ${projHtml}
+      <polyline points="${pts.map(p => xy(p.t, p.level)).join(' ')}" class="mc-line" />
+      ${pts.filter(p => p.tip).map(p => `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.level).toFixed(1)}" r="3" class="hist-dot">
+        <title>${p.tip}</title></circle>`).join('')}
+    </g>
+    <text x="${padL - 4}" y="${y(l1) + 3}" class="mc-text" text-anchor="end">L${l1}</text>
+    <text x="${padL - 4}" y="${y(l0) + 3}" class="mc-text" text-anchor="end">L${l0}</text>
+    <text x="${padL}" y="${H - 6}" class="mc-text">${fmtShort(lo)}</text>
+    <text x="${W - padR}" y="${H - 6}" class="mc-text" text-anchor="end">${fmtShort(hi)}</text>
+  </svg>
+  ${proj ? '<p class="footnote" style="margin:0">Dashed: projected at your selected pace · band: fast to slow pace</p>' : ''}`;
+}
+
+function setChartMode(mode) {
+  _chartMode = mode;
+  renderRunView();
+}
+
+function setChartZoom(zoom) {
+  _chartZoom = zoom;
+  renderRunView();
+}
+
+// Side-by-side stats per run, and a like-for-like check on levels done in both
+function renderRunComparison() {
+  const el = document.getElementById('run-compare');
+  const rows = _runs
+    .map(run => ({ run, stats: run.current ? _stats : computeStats(run.progressions, run.endLevel, _data.allAssignments, activeBreaks()) }))
+    .filter(r => r.stats);
+  if (_runs.length < 2 || rows.length < 2) { el.style.display = 'none'; return; }
+
+  const table = `
+    <div class="run-table">
+      <div class="run-table-row head">
+        <span>Run</span><span>Levels</span><span>Median</span><span>Average</span><span>Recent 5</span><span>Fastest</span>
+      </div>
+      ${rows.map(({ run, stats }) => `
+      <div class="run-table-row${run.current ? ' current' : ''}">
+        <span>${runLabel(run)}</span>
+        <span>L${run.startLevel}→${run.endLevel}</span>
+        <span>${fmtDays(stats.median)}</span>
+        <span>${fmtDays(stats.avg)}</span>
+        <span>${fmtDays(stats.recent)}</span>
+        <span>${fmtDays(stats.sorted[0])}</span>
+      </div>`).join('')}
+    </div>`;
+
+  // Same levels only — early levels are shorter, so raw medians flatter the newer run
+  const current = rows.find(r => r.run.current);
+  const verdicts = current ? rows.filter(r => !r.run.current).map(({ run, stats }) => {
+    const then = new Map(stats.done.map((p, i) => [p.data.level, stats.durs[i]]));
+    const both = current.stats.done
+      .map((p, i) => [p.data.level, current.stats.durs[i], then.get(p.data.level)])
+      .filter(([, , old]) => old != null);
+    if (!both.length) return '';
+    const nowMed = medianOf(both.map(b => b[1]));
+    const oldMed = medianOf(both.map(b => b[2]));
+    const diff   = (oldMed - nowMed) / oldMed;
+    return `<div class="insight-row">
+        <span class="insight-row-label">On the ${both.length} levels done in both, vs ${runLabel(run).toLowerCase()}</span>
+        <span class="insight-row-val ${diff > 0.05 ? 'good' : diff < -0.05 ? 'bad' : ''}">
+          ${Math.abs(diff) < 0.05 ? 'about the same' : `${Math.round(Math.abs(diff) * 100)}% ${diff > 0 ? 'faster' : 'slower'}`}
+          <span style="font-size:11px;color:var(--muted)">${fmtDays(nowMed)} vs ${fmtDays(oldMed)}</span>
+        </span>
       </div>`;
+  }).join('') : '';
 
-  const nextLevel = computeNextLevel(data.assignments || []);
-  renderNextLevel(nextLevel);
+  el.innerHTML = `
+    <div class="eyebrow">Run comparison — are you faster this time?</div>
+    ${table}
+    ${verdicts}`;
+  el.style.display = 'block';
+}
 
-  if (data.reviewStats && data.reviewStats.length > 0) {
-    const speedup = computeSpeedup(data.reviewStats);
-    renderSpeedup(speedup);
+// Everything simulated on the review schedule — re-run when it changes
+function renderProjections() {
+  const hasLevelData = (_data.assignments || []).length || (_data.subjects || []).length;
+  _nextLevel = hasLevelData ? computeNextLevel(_data.assignments || [], _data.subjects || []) : null;
+  if (_nextLevel) renderNextLevel(_nextLevel);
+  else document.getElementById('next-level-section').style.display = 'none';
+  renderPlanner();
+  _habits = (_data.allAssignments || []).length ? studyHabits(_stats, _data.allAssignments) : null;
+  renderHabits();
+
+  if (_data.reviewStats && _data.reviewStats.length > 0) {
+    const speedup = computeSpeedup(_data.reviewStats, levelShape(_data.subjects || []), _stats.median);
+    const leeches = computeLeeches(_data.reviewStats, [...(_data.subjects || []), ...(_data.leechSubjects || [])]);
+    renderSpeedup(speedup, leeches);
+  } else {
+    document.getElementById('speedup-section').style.display = 'none';
   }
+  renderWorkload();
+}
 
-  document.getElementById('input-card').style.display = 'none';
-  document.getElementById('loading').style.display = 'none';
-  document.getElementById('results').style.display = 'block';
-  document.getElementById('reset-btn').style.display = 'block';
+// ── schedule editor ────────────────────────────────────────────────────────
+const SCHEDULE_KEY = 'wk-review-schedule';
+
+function loadSchedule() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCHEDULE_KEY));
+    if (Array.isArray(saved) && saved.length === 7 &&
+        saved.every(d => Array.isArray(d) && d.every(m => Number.isInteger(m) && m >= 0 && m < 1440))) {
+      return saved;
+    }
+  } catch (e) { /* unreadable — fall back to the default */ }
+  return defaultSchedule();
+}
+
+configureEngine({ reviewSchedule: loadSchedule() });
+
+const toTimeValue   = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+const fromTimeValue = v => { const [h, m] = v.split(':').map(Number); return h * 60 + m; };
+
+function renderScheduleEditor() {
+  const rows = [1, 2, 3, 4, 5, 6, 0].map(day => {
+    const wins = _reviewSchedule[day];
+    return `<div class="sched-row">
+      <label class="sched-day">
+        <input type="checkbox" ${wins.length ? 'checked' : ''} onchange="toggleScheduleDay(${day}, this.checked)" />
+        ${DAY_NAMES[day]}
+      </label>
+      <div class="sched-windows">
+        ${wins.length ? wins.map((m, i) => `
+          <span class="sched-window">
+            <input type="time" value="${toTimeValue(m)}" onchange="setScheduleWindow(${day}, ${i}, this.value)" />
+            <button class="sched-x" title="Remove window" onclick="removeScheduleWindow(${day}, ${i})">×</button>
+          </span>`).join('') + `
+          <button class="sched-add" onclick="addScheduleWindow(${day})">+ window</button>`
+        : '<span class="sched-off">day off</span>'}
+      </div>
+    </div>`;
+  }).join('');
+
+  document.getElementById('schedule-summary').textContent = scheduleSummary();
+  document.getElementById('schedule-editor').innerHTML = rows + `
+    <div class="sched-actions">
+      <button class="sched-add" onclick="copyScheduleDay(1)">Copy Mon to every day</button>
+      <button class="sched-add" onclick="resetSchedule()">Reset to ${fmtWindows(DEFAULT_REVIEW_WINDOWS)}</button>
+    </div>`;
+}
+
+function saveSchedule() {
+  localStorage.setItem(SCHEDULE_KEY, JSON.stringify(_reviewSchedule));
+  renderScheduleEditor();
+  if (_data && _stats) renderProjections();
+}
+
+function setDayWindows(day, wins) {
+  const sorted = [...new Set(wins)].sort((a, b) => a - b);
+  configureEngine({ reviewSchedule: _reviewSchedule.map((w, d) => d === day ? sorted : w) });
+  saveSchedule();
+}
+
+function setScheduleWindow(day, i, value) {
+  if (!value) return;
+  const wins = [..._reviewSchedule[day]];
+  wins[i] = fromTimeValue(value);
+  setDayWindows(day, wins);
+}
+
+function addScheduleWindow(day) {
+  const wins = _reviewSchedule[day];
+  const last = wins.length ? wins[wins.length - 1] : DEFAULT_REVIEW_WINDOWS[0] - 180;
+  setDayWindows(day, [...wins, Math.min(1439, last + 180)]);
+}
+
+function removeScheduleWindow(day, i) {
+  setDayWindows(day, _reviewSchedule[day].filter((_, j) => j !== i));
+}
+
+function toggleScheduleDay(day, on) {
+  setDayWindows(day, on ? (typicalWindows().length ? typicalWindows() : DEFAULT_REVIEW_WINDOWS) : []);
+}
+
+function copyScheduleDay(from) {
+  configureEngine({ reviewSchedule: _reviewSchedule.map(() => [..._reviewSchedule[from]]) });
+  saveSchedule();
+}
+
+function resetSchedule() {
+  configureEngine({ reviewSchedule: defaultSchedule() });
+  saveSchedule();
+}
+
+// ── break editor ───────────────────────────────────────────────────────────
+const BREAKS_KEY = 'wk-breaks';
+
+// Marked breaks per user: { userId: [{ start, end }] } as inclusive YYYY-MM-DD days
+function loadBreaks(userId) {
+  try {
+    const all = JSON.parse(localStorage.getItem(BREAKS_KEY) || '{}');
+    return Array.isArray(all[userId]) ? all[userId] : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+const activeBreaks = () => breakRanges(_breaks, _data?.user.data.current_vacation_started_at);
+const projectDate = days => skipBreaks(new Date(), days, activeBreaks());
+
+// Levels far above the median that no marked break accounts for yet
+function suggestedBreaks(stats) {
+  return stats.done
+    .map((p, i) => ({ p, days: stats.durs[i] }))
+    .filter(({ days }) => days > stats.median * OUTLIER_FACTOR)
+    .map(({ p, days }) => ({
+      level: p.data.level,
+      days,
+      start: dateValue(addDays(new Date(p.data.started_at), stats.median)),
+      end:   dateValue(new Date(p.data.passed_at)),
+    }));
+}
+
+function renderBreaks() {
+  const vacation = _data.user.data.current_vacation_started_at;
+  const today = dateValue(new Date());
+  const suggestions = _stats ? suggestedBreaks(_stats) : [];
+
+  document.getElementById('breaks-summary').textContent = [
+    _breaks.length ? `${_breaks.length} marked` : 'none marked',
+    vacation && 'on vacation now',
+    suggestions.length && `${suggestions.length} suggested`,
+  ].filter(Boolean).join(' · ');
+
+  const rows = _breaks.map((b, i) => `
+    <div class="sched-row">
+      <span class="sched-day">${b.end < today ? 'Past' : b.start > today ? 'Planned' : 'Now'}</span>
+      <div class="sched-windows">
+        <span class="sched-window"><input type="date" value="${b.start}" onchange="setBreak(${i}, 'start', this.value)" /></span>
+        →
+        <span class="sched-window">
+          <input type="date" value="${b.end}" onchange="setBreak(${i}, 'end', this.value)" />
+          <button class="sched-x" title="Remove break" onclick="removeBreak(${i})">×</button>
+        </span>
+      </div>
+    </div>`).join('');
+
+  document.getElementById('breaks-editor').innerHTML = `
+    ${vacation ? `<p class="lever-intro">Vacation mode has been on since ${fmtDate(new Date(vacation))}.
+      That time is left out of your current level, and projections assume you're back today.</p>` : ''}
+    ${rows || '<p class="sched-off">No breaks marked.</p>'}
+    <div class="sched-actions">
+      <button class="sched-add" onclick="addBreak()">+ break</button>
+    </div>
+    ${suggestions.map(sg => `
+      <div class="insight-row" style="align-items:center">
+        <span class="insight-row-label">
+          Level ${sg.level} took ${fmtDays(sg.days)} — ${(sg.days / _stats.median).toFixed(1)}× your median
+        </span>
+        <button class="sched-add" onclick="addBreak('${sg.start}', '${sg.end}')">Mark the extra as a break</button>
+      </div>`).join('')}`;
+}
+
+function saveBreaks() {
+  let all;
+  try { all = JSON.parse(localStorage.getItem(BREAKS_KEY) || '{}'); } catch (e) { all = {}; }
+  all[_data.user.data.id] = _breaks;
+  localStorage.setItem(BREAKS_KEY, JSON.stringify(all));
+  applyBreaks();
+}
+
+// Breaks change level times, so everything built on the stats is redone
+function applyBreaks() {
+  _stats = computeStats(_runs[_runs.length - 1].progressions, _currentLevel, _data.allAssignments, activeBreaks());
+  renderBreaks();
+  if (!_stats) return;
+  updatePrediction();
+  renderBacktest();
+  runForecast();
+  renderRunView();
+  renderRunComparison();
+  renderProjections();
+}
+
+function addBreak(start, end) {
+  const today = new Date();
+  _breaks.push({ start: start || dateValue(today), end: end || dateValue(addDays(today, 6)) });
+  saveBreaks();
+}
+
+function setBreak(i, field, value) {
+  if (!value) return;
+  _breaks[i][field] = value;
+  if (_breaks[i].end < _breaks[i].start) [_breaks[i].start, _breaks[i].end] = [_breaks[i].end, _breaks[i].start];
+  saveBreaks();
+}
+
+function removeBreak(i) {
+  _breaks.splice(i, 1);
+  saveBreaks();
 }
 
 // ── prediction update ──────────────────────────────────────────────────────
 function updatePrediction() {
   if (!_stats) return;
   const stats = _stats;
-  const left  = 60 - _currentLevel;
-  const paceMap = {
-    fast: stats.fast, median: stats.median,
-    avg: stats.avg,   slow: stats.slow,
-    recent: stats.recent
-  };
-  const dpL  = paceMap[_activePace] || stats.median;
-  const pred = addDays(new Date(), left * dpL);
-  const fast = addDays(new Date(), left * stats.fast);
-  const mid  = addDays(new Date(), left * stats.median);
-  const slow = addDays(new Date(), left * stats.slow);
-
-  document.getElementById('pred-date').textContent = fmtDate(pred);
-  document.getElementById('pred-sub').textContent =
-    `${relDays(pred)} · ${Math.round(dpL)}d/level · ${left} levels remaining`;
+  const left  = levelsLeft();
+  const goal  = targetLevel();
+  const dpL  = paceDays(stats, _activePace);
+  const pred = projectDate(left * dpL);
+  const fast = projectDate(left * stats.fast);
+  const mid  = projectDate(left * stats.median);
+  const slow = projectDate(left * stats.slow);
+  const breakDays = (pred - addDays(new Date(), left * dpL)) / 864e5;
+
+  document.getElementById('pred-label').textContent = `Estimated Level ${goal} Date`;
+  document.getElementById('big-pred').dataset.target = goal;
+  document.getElementById('mc-label').textContent = `Chance of reaching Level ${goal} by date`;
+  document.getElementById('mc-chance-label').textContent = `My chance of hitting L${goal} by`;
+  document.getElementById('pred-date').textContent = left ? fmtDate(pred) : `Level ${goal} reached`;
+  document.getElementById('pred-sub').textContent = left
+    ? `${relDays(pred)} · ${Math.round(dpL)}d/level · ${left} levels remaining${
+      breakDays >= 1 ? ` · incl. ${Math.round(breakDays)}d of planned breaks` : ''}`
+    : goal < levelCap() ? 'Pick a higher target level to project further' : '';
+  renderSubscriptionWarning(pred, left);
 
   document.getElementById('scenarios').innerHTML = [
     ['Optimistic',   fast],
@@ -566,53 +1215,1171 @@ function updatePrediction() {
     </div>`).join('');
 
   renderPills();
+  renderMilestones();
 }
 
 function renderPills() {
-  const paces = [
-    ['fast',   'Fast 25%'],
-    ['median', 'Median'],
-    ['avg',    'Average'],
-    ['recent', 'Recent 5'],
-    ['slow',   'Slow 75%'],
-  ];
-  document.getElementById('pace-row').innerHTML = paces
-    .map(([k, label]) =>
-      `<button class="pace-pill${k === _activePace ? ' active' : ''}" onclick="setPace('${k}')">${label}</button>`
+  document.getElementById('pace-row').innerHTML = Object.entries(PACE_MODELS)
+    .map(([k, m]) =>
+      `<button class="pace-pill${k === _activePace ? ' active' : ''}" onclick="setPace('${k}')"${
+        m.about ? ` title="${m.about}"` : ''}>${m.label}</button>`
     ).join('');
 }
 
+function renderBacktest() {
+  const el = document.getElementById('backtest-content');
+  const results = _stats ? backtestPaces(_stats) : [];
+  document.getElementById('ewma-half-life').value = String(_ewmaHalfLife);
+  if (!results.length) {
+    el.innerHTML = `<p class="lever-intro">Needs more than ${BACKTEST_MIN_LEVELS} passed levels in this run to replay.</p>`;
+    return;
+  }
+  el.innerHTML = `
+    <div class="bt-table">
+      <div class="bt-row head"><span>Model</span><span>Typical miss</span><span>Pace now</span><span></span></div>
+      ${results.map((r, i) => `
+        <div class="bt-row${r.key === _activePace ? ' active' : ''}">
+          <span>${PACE_MODELS[r.key].label}${i === 0 ? ' <em class="bt-best">best fit</em>' : ''}</span>
+          <span class="acc-cell ${i === 0 ? 'good' : r.mape > results[0].mape * 2 ? 'bad' : ''}">±${Math.round(r.mape)}%</span>
+          <span class="acc-cell muted">${fmtDays(paceDays(_stats, r.key))}/level · ±${fmtDays(r.mae)}</span>
+          <span>${r.key === _activePace ? '' : `<button class="chart-pill" onclick="setPace('${r.key}')">Use</button>`}</span>
+        </div>`).join('')}
+    </div>
+    <p class="footnote" style="margin:8px 0 0">
+      Replayed from ${results[0].trials} points in your history, each predicting the next ${BACKTEST_HORIZON} levels.
+    </p>`;
+}
+
+function setEwmaHalfLife(halfLife) {
+  configureEngine({ ewmaHalfLife: Number(halfLife) });
+  if (!_stats) return;
+  updatePrediction();
+  renderBacktest();
+  if (_chartMode === 'cumulative') renderRunView();
+}
+
 function setPace(p) {
   _activePace = p;
   updatePrediction();
+  renderBacktest();
+  if (_chartMode === 'cumulative') renderRunView();
+}
+
+// ── target level render ────────────────────────────────────────────────────
+function renderTargetLevel() {
+  const max = levelCap();
+  const levels = Array.from({ length: Math.max(1, max - _currentLevel) }, (_, i) => Math.min(max, _currentLevel + 1 + i));
+  const select = document.getElementById('target-level');
+  select.innerHTML = levels
+    .map(l => `<option value="${l}" ${l === targetLevel() ? 'selected' : ''}>Level ${l}${l === MAX_LEVEL ? ' · the end' : ''}</option>`).join('');
+  select.disabled = _currentLevel >= max;
+}
+
+// Subscription cap and renewal date against the projected finish
+function renderSubscriptionWarning(pred, left) {
+  const el = document.getElementById('pred-warn');
+  const sub = _subscription;
+  const max = maxLevelGranted();
+  const ends = sub?.period_ends_at ? new Date(sub.period_ends_at) : null;
+  const notes = [];
+  if (pastLevelCap()) {
+    notes.push(`Your subscription is not active, so WaniKani only grants levels up to ${max} and you can't continue past level ${_currentLevel} until you renew. Projections assume you do.`);
+  } else if (sub && !sub.active) {
+    notes.push(`Your subscription is not active, so WaniKani stops you at level ${max}. Projections end there.`);
+  } else if (max < MAX_LEVEL) {
+    notes.push(`Your subscription unlocks levels up to ${max}. Projections end there.`);
+  }
+  if (sub?.active && ends && left && ends < pred) {
+    notes.push(`Your subscription period ends ${fmtDate(ends)} (${relDays(ends)}), before this projected finish. You'll need to renew to keep levelling.`);
+  }
+  el.style.display = notes.length ? 'block' : 'none';
+  el.innerHTML = notes.map(n => `<div>${n}</div>`).join('');
+}
+
+function setTargetLevel(level) {
+  configureEngine({ targetLevel: Number(level) });
+  updatePrediction();
+  renderBacktest();
+  runForecast();
+  renderRunView();
+  if (_data) renderProjections();
+}
+
+// ── milestones ─────────────────────────────────────────────────────────────
+// WaniKani's content tiers, with rough kanji and vocabulary counts per level
+const CONTENT_TIERS = [
+  { name: 'Pleasant', kanji: '快',   last: 10, kanjiPerLevel: 30, vocabPerLevel: 80 },
+  { name: 'Painful',  kanji: '苦',   last: 20, kanjiPerLevel: 37, vocabPerLevel: 130 },
+  { name: 'Death',    kanji: '死',   last: 30, kanjiPerLevel: 36, vocabPerLevel: 120 },
+  { name: 'Hell',     kanji: '地獄', last: 40, kanjiPerLevel: 35, vocabPerLevel: 115 },
+  { name: 'Paradise', kanji: '天国', last: 50, kanjiPerLevel: 34, vocabPerLevel: 100 },
+  { name: 'Reality',  kanji: '現実', last: 60, kanjiPerLevel: 30, vocabPerLevel: 85 },
+];
+
+const fmtDay = d => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Approximate items learned once every level below `level` is passed
+function itemsBefore(level) {
+  let kanji = 0, vocab = 0;
+  for (let l = 1; l < level; l++) {
+    const tier = CONTENT_TIERS.find(t => l <= t.last);
+    kanji += tier.kanjiPerLevel;
+    vocab += tier.vocabPerLevel;
+  }
+  return { kanji, vocab };
+}
+
+// Date each level was reached in the current run, from its unlock
+function reachedDates() {
+  const dates = new Map();
+  for (const p of _runs[_runs.length - 1].progressions) {
+    const t = p.data.unlocked_at || p.data.started_at;
+    if (t && (!dates.has(p.data.level) || new Date(t) > dates.get(p.data.level))) dates.set(p.data.level, new Date(t));
+  }
+  return dates;
+}
+
+function renderMilestones() {
+  if (!_stats) return;
+  const reached = reachedDates();
+  const rows = [];
+  for (let level = 2; level <= targetLevel(); level++) {
+    // Reaching level 10 starts the last Pleasant level; reaching 11 means Pleasant is done
+    const last = CONTENT_TIERS.find(t => t.last === level);
+    const done = CONTENT_TIERS.find(t => t.last === level - 1);
+    const checkpoint = !!(last || done);
+    if (!checkpoint && (!_milestonesAll || level <= _currentLevel)) continue;
+    const ahead = level - _currentLevel;
+    rows.push({
+      level,
+      label: last ? `last ${last.kanji} ${last.name} level` : done ? `${done.kanji} ${done.name} done` : '',
+      items: itemsBefore(level),
+      reached: level <= _currentLevel ? reached.get(level) : null,
+      dates: ahead > 0 ? ['fast', 'median', 'slow'].map(k => projectDate(ahead * _stats[k])) : null,
+      checkpoint,
+    });
+  }
+
+  document.getElementById('milestone-content').innerHTML = `
+    <div class="ms-table">
+      <div class="ms-row head">
+        <span>Level</span><span>≈ Learned</span><span>Optimistic</span><span>Median</span><span>Conservative</span>
+      </div>
+      ${rows.map(r => `
+        <div class="ms-row${r.checkpoint ? ' checkpoint' : ''}${r.level === _currentLevel + 1 ? ' next' : ''}">
+          <span>L${r.level}${r.label ? `<em>${r.label}</em>` : ''}</span>
+          <span>${r.items.kanji.toLocaleString()} kanji · ${r.items.vocab.toLocaleString()} vocab</span>
+          ${r.dates
+            ? r.dates.map(d => `<span>${fmtDay(d)}</span>`).join('')
+            : `<span class="ms-reached">${r.reached ? `Reached ${fmtDay(r.reached)}` : 'Reached'}</span>`}
+        </div>`).join('')}
+    </div>
+    <button class="sched-add" style="margin-top:12px" onclick="toggleMilestones()">
+      ${_milestonesAll ? 'Checkpoints only' : 'Show every remaining level'}
+    </button>`;
+}
+
+function toggleMilestones() {
+  _milestonesAll = !_milestonesAll;
+  renderMilestones();
+}
+
+// ── forecast render ────────────────────────────────────────────────────────
+function runForecast() {
+  const left = levelsLeft();
+  document.getElementById('mc-card').style.display = left ? '' : 'none';
+  const totals = simulateRemaining(_stats.durs, left, { halfLife: _mcHalfLife });
+  _forecast = { totals, left, from: new Date() };
+  renderForecast();
+}
+
+function renderForecast() {
+  if (!_forecast) return;
+  const { totals, from } = _forecast;
+  const [p10, p50, p90] = [0.1, 0.5, 0.9].map(q => skipBreaks(from, quantile(totals, q), activeBreaks()));
+
+  document.getElementById('mc-quantiles').innerHTML = [
+    ['P10 · lucky',   p10, 'best'],
+    ['P50 · typical', p50, 'realistic'],
+    ['P90 · safe bet', p90, 'current'],
+  ].map(([label, d, cls]) => `
+    <div class="proj-box ${cls}">
+      <div class="proj-label">${label}</div>
+      <div class="proj-date">${fmtDate(d)}</div>
+      <div class="proj-rel">${relDays(d)}</div>
+    </div>`).join('');
+
+  document.getElementById('mc-curve').innerHTML = forecastCurveSvg();
+  updateForecastChance();
+}
+
+// Probability-of-finishing-by-date curve
+function forecastCurveSvg() {
+  const { totals, from } = _forecast;
+  const W = 640, H = 160, pad = 24;
+  const lo = quantile(totals, 0), hi = quantile(totals, 0.995);
+  const span = Math.max(1, hi - lo);
+  const x = days => pad + ((days - lo) / span) * (W - pad * 2);
+  const y = p => H - pad - p * (H - pad * 2);
+
+  const pts = [];
+  for (let i = 0; i <= 80; i++) {
+    const days = lo + (span * i) / 80;
+    pts.push(`${x(days).toFixed(1)},${y(chanceWithin(totals, days)).toFixed(1)}`);
+  }
+
+  const marks = [0.1, 0.5, 0.9].map(q => {
+    const days = quantile(totals, q);
+    return `<line x1="${x(days)}" x2="${x(days)}" y1="${pad}" y2="${H - pad}" class="mc-mark" />
+      <text x="${x(days)}" y="${pad - 6}" class="mc-text" text-anchor="middle">P${Math.round(q * 100)}</text>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Chance of reaching level ${targetLevel()} by date">
+    <line x1="${pad}" x2="${W - pad}" y1="${y(0)}" y2="${y(0)}" class="mc-axis" />
+    <line x1="${pad}" x2="${W - pad}" y1="${y(1)}" y2="${y(1)}" class="mc-grid" />
+    ${marks}
+    <polyline points="${pts.join(' ')}" class="mc-line" />
+    <text x="${pad}" y="${H - 6}" class="mc-text">${fmtShort(skipBreaks(from, lo, activeBreaks()))}</text>
+    <text x="${W - pad}" y="${H - 6}" class="mc-text" text-anchor="end">${fmtShort(skipBreaks(from, hi, activeBreaks()))}</text>
+    <text x="${pad - 4}" y="${y(1) + 3}" class="mc-text" text-anchor="end">100%</text>
+    <text x="${pad - 4}" y="${y(0) + 3}" class="mc-text" text-anchor="end">0%</text>
+  </svg>`;
+}
+
+function updateForecastChance() {
+  if (!_forecast) return;
+  const input = document.getElementById('mc-target');
+  const el = document.getElementById('mc-chance');
+  if (!input.value) {
+    input.value = dateValue(skipBreaks(_forecast.from, quantile(_forecast.totals, 0.5), activeBreaks()));
+  }
+  const target = new Date(`${input.value}T23:59:59`);
+  const studyDays = (target - _forecast.from) / 864e5 - breakDaysWithin(_forecast.from, target, activeBreaks());
+  const chance = chanceWithin(_forecast.totals, studyDays);
+  el.textContent = `${Math.round(chance * 100)}%`;
+  el.className = `insight-row-val ${chance >= 0.7 ? 'good' : chance >= 0.3 ? 'warn' : 'bad'}`;
+}
+
+function setForecastWeighting(halfLife) {
+  _mcHalfLife = Number(halfLife);
+  if (_stats) runForecast();
+}
+
+// ── prediction history ─────────────────────────────────────────────────────
+const HISTORY_KEY = 'wk-prediction-history';
+const HISTORY_MAX = 365;
+const SCENARIO_KEYS = ['fast', 'median', 'avg', 'recent', 'slow'];
+
+function loadHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// One snapshot per run of the predictor; re-syncs within the hour replace the last one.
+// Live syncs leave it alone until the hour is up, so a tab left live still adds history.
+function recordSnapshot(userId, { live = false } = {}) {
+  if (!_stats) return;
+  const now = new Date();
+  const left = MAX_LEVEL - _currentLevel;
+  const snapshot = {
+    at: now.toISOString(),
+    level: _currentLevel,
+    paces: Object.fromEntries(SCENARIO_KEYS.map(k => [k, _stats[k]])),
+    dates: Object.fromEntries(SCENARIO_KEYS.map(k => [k, projectDate(left * _stats[k]).toISOString()])),
+    nextLevel: _nextLevel ? _nextLevel.levelUpDate.toISOString() : null,
+  };
+
+  const all = loadHistory();
+  const list = all[userId] || [];
+  const last = list[list.length - 1];
+  if (last && now - new Date(last.at) < 3600000) {
+    if (live) return;
+    list.pop();
+  }
+  list.push(snapshot);
+  all[userId] = list.slice(-HISTORY_MAX);
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(all));
+}
+
+// Latest snapshot taken at least `days` before the newest one
+function snapshotBefore(list, days) {
+  const cutoff = new Date(list[list.length - 1].at) - days * 864e5;
+  return [...list].reverse().find(s => new Date(s.at) <= cutoff) || null;
+}
+
+function driftRow(label, latest, earlier) {
+  if (!earlier) return '';
+  const shift = (new Date(latest.dates.median) - new Date(earlier.dates.median)) / 864e5;
+  const verdict = Math.abs(shift) < 1 ? 'holding steady'
+    : shift < 0 ? `${fmtDays(-shift)} earlier — gaining ground`
+    : `${fmtDays(shift)} later — losing ground`;
+  return `<div class="insight-row">
+      <span class="insight-row-label">${label} (${fmtDate(new Date(earlier.at))}, level ${earlier.level})</span>
+      <span class="insight-row-val ${Math.abs(shift) < 1 ? '' : shift < 0 ? 'good' : 'bad'}">${verdict}</span>
+    </div>`;
+}
+
+function renderHistory(userId) {
+  const card = document.getElementById('history-card');
+  const list = loadHistory()[userId] || [];
+  if (!list.length) { card.style.display = 'none'; return; }
+
+  const latest = list[list.length - 1];
+  const rows = [
+    driftRow('Since your previous run', latest, list.length > 1 ? list[list.length - 2] : null),
+    driftRow('Since a week ago', latest, snapshotBefore(list, 7)),
+    driftRow('Since a month ago', latest, snapshotBefore(list, 30)),
+    driftRow('Since your first prediction', latest, list.length > 2 ? list[0] : null),
+  ].join('');
+
+  document.getElementById('history-content').innerHTML = list.length < 2
+    ? `<p class="lever-intro">First prediction saved ${fmtDate(new Date(latest.at))}. Come back after a few
+        levels — each run is stored in this browser so you can see how your Level 60 date moves.</p>`
+    : `${historySvg(list)}${rows}`;
+  card.style.display = 'block';
+}
+
+// Projected median L60 date per snapshot, with the fast–slow range as a band
+function historySvg(list) {
+  const W = 640, H = 180, padX = 56, padY = 20;
+  const times = list.map(s => new Date(s.at).getTime());
+  const all = list.flatMap(s => [s.dates.fast, s.dates.slow].map(d => new Date(d).getTime()));
+  const [t0, t1] = [Math.min(...times), Math.max(...times)];
+  const [d0, d1] = [Math.min(...all), Math.max(...all)];
+  const x = t => padX + ((t - t0) / Math.max(1, t1 - t0)) * (W - padX * 2);
+  const y = d => padY + ((d - d0) / Math.max(1, d1 - d0)) * (H - padY * 2);
+  const at = (s, k) => `${x(new Date(s.at).getTime()).toFixed(1)},${y(new Date(s.dates[k]).getTime()).toFixed(1)}`;
+
+  const band = [...list.map(s => at(s, 'fast')), ...[...list].reverse().map(s => at(s, 'slow'))].join(' ');
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Projected Level 60 date over time">
+    <polygon points="${band}" class="hist-band" />
+    <polyline points="${list.map(s => at(s, 'median')).join(' ')}" class="mc-line" />
+    ${list.map(s => `<circle cx="${at(s, 'median').split(',')[0]}" cy="${at(s, 'median').split(',')[1]}" r="3" class="hist-dot">
+      <title>${fmtDate(new Date(s.at))} · level ${s.level} → ${fmtDate(new Date(s.dates.median))}</title></circle>`).join('')}
+    <text x="${padX - 6}" y="${padY + 3}" class="mc-text" text-anchor="end">${fmtShort(d0)}</text>
+    <text x="${padX - 6}" y="${H - padY + 3}" class="mc-text" text-anchor="end">${fmtShort(d1)}</text>
+    <text x="${padX}" y="${H - 4}" class="mc-text">${fmtShort(t0)}</text>
+    <text x="${W - padX}" y="${H - 4}" class="mc-text" text-anchor="end">${fmtShort(t1)}</text>
+  </svg>
+  <p class="footnote" style="margin:0 0 8px">Earlier finish dates are higher up. Line: median projection · band: optimistic to conservative.</p>`;
+}
+
+// ── export ─────────────────────────────────────────────────────────────────
+const ICS_REVIEW_MINUTES = 30;
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function downloadFile(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const exportName = ext => `wanikani-${_data.user.data.username || 'user'}-${dateValue(new Date())}.${ext}`;
+
+// Passed levels of the current run, one row each
+function exportLevels() {
+  return _stats.done.map((p, i) => ({
+    level:   p.data.level,
+    unlocked: p.data.unlocked_at,
+    started: p.data.started_at,
+    passed:  p.data.passed_at,
+    days:    +_stats.durs[i].toFixed(2),
+    lessonLagDays: +_stats.phases[i].lag.toFixed(2),
+    breakDays: +_stats.paused[i].toFixed(2),
+  }));
+}
+
+function exportCsv() {
+  if (!_stats) return;
+  const rows = exportLevels();
+  const cols = ['level', 'unlocked', 'started', 'passed', 'days', 'lessonLagDays', 'breakDays'];
+  const csv = [cols.join(','), ...rows.map(r => cols.map(c => r[c] ?? '').join(','))].join('\n');
+  downloadFile(exportName('csv'), 'text/csv', csv + '\n');
+}
+
+function exportSnapshot() {
+  const left = levelsLeft();
+  const round = d => +d.toFixed(2);
+  const paces = Object.fromEntries(Object.keys(PACE_MODELS).map(k => [k, paceDays(_stats, k)]));
+  return {
+    exportedAt: new Date().toISOString(),
+    user: { username: _data.user.data.username, level: _currentLevel },
+    activePace: _activePace,
+    targetLevel: targetLevel(),
+    accuracy: _data.reviewStats?.length ? +answerTotals(_data.reviewStats).accuracy.toFixed(1) : null,
+    stats: {
+      avg: round(_stats.avg), median: round(_stats.median), fast: round(_stats.fast),
+      slow: round(_stats.slow), recent: round(_stats.recent), totalLessonLagDays: round(_stats.totalLag),
+    },
+    paces: Object.fromEntries(Object.entries(paces).map(([k, d]) => [k, round(d)])),
+    scenarios: Object.fromEntries(Object.entries(paces).map(([k, d]) => [k, projectDate(left * d).toISOString()])),
+    monteCarlo: _forecast && Object.fromEntries([0.1, 0.5, 0.9].map(q =>
+      [`p${q * 100}`, skipBreaks(_forecast.from, quantile(_forecast.totals, q), activeBreaks()).toISOString()])),
+    nextLevel: _nextLevel && {
+      level: _currentLevel + 1,
+      date: _nextLevel.levelUpDate.toISOString(),
+      kanjiAtGuru: _nextLevel.kanjiAtGuru,
+      kanjiRequired: _nextLevel.kanjiRequired,
+    },
+    breaks: _breaks,
+    levels: exportLevels(),
+  };
+}
+
+function exportJson() {
+  if (!_stats) return;
+  downloadFile(exportName('json'), 'application/json', JSON.stringify(exportSnapshot(), null, 2));
+}
+
+// Calendar: the next level-up, every remaining level at the selected pace,
+// and the review windows as weekly events
+function buildIcs() {
+  const pad = n => String(n).padStart(2, '0');
+  const local = d => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+  const day   = d => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+  const text  = t => t.replace(/[\\;,]/g, m => `\\${m}`);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const events = [];
+  const event = (lines) => events.push(['BEGIN:VEVENT', `UID:${stamp}-${events.length}@wk-l60-predictor`, `DTSTAMP:${stamp}`, ...lines, 'END:VEVENT']);
+
+  const levelUp = _nextLevel?.levelUpDate || projectDate(paceDays(_stats, _activePace));
+  if (_currentLevel < targetLevel()) {
+    event([
+      `DTSTART:${local(levelUp)}`,
+      `DTEND:${local(new Date(levelUp.getTime() + ICS_REVIEW_MINUTES * 60000))}`,
+      `SUMMARY:${text(`WaniKani level ${_currentLevel + 1} unlocks`)}`,
+      `DESCRIPTION:${text(`Predicted from your current assignments (${_nextLevel?.kanjiAtGuru ?? '?'} of ${_nextLevel?.kanjiRequired ?? '?'} kanji at Guru)`)}`,
+    ]);
+  }
+  const dpL = paceDays(_stats, _activePace);
+  for (let level = _currentLevel + 2; level <= targetLevel(); level++) {
+    const d = skipBreaks(levelUp, (level - _currentLevel - 1) * dpL, activeBreaks());
+    event([
+      `DTSTART;VALUE=DATE:${day(d)}`,
+      `DTEND;VALUE=DATE:${day(addDays(d, 1))}`,
+      `SUMMARY:${text(`WaniKani level ${level} (projected)`)}`,
+      `DESCRIPTION:${text(`At ${PACE_MODELS[_activePace]?.label || _activePace} pace, ${fmtDays(dpL)} per level`)}`,
+      'TRANSP:TRANSPARENT',
+    ]);
+  }
+
+  // One weekly series per window time, across every day that has it
+  const byTime = new Map();
+  _reviewSchedule.forEach((wins, weekday) => wins.forEach(m => byTime.set(m, [...(byTime.get(m) || []), weekday])));
+  for (const [m, weekdays] of byTime) {
+    const first = nextWindow(new Date());
+    const start = [...Array(8).keys()].map(i => addDays(startOfDay(first), i)).find(d => weekdays.includes(d.getDay()));
+    start.setHours(0, m, 0, 0);
+    event([
+      `DTSTART:${local(start)}`,
+      `DTEND:${local(new Date(start.getTime() + ICS_REVIEW_MINUTES * 60000))}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${weekdays.map(w => ICS_DAYS[w]).join(',')}`,
+      `SUMMARY:${text('WaniKani reviews')}`,
+    ]);
+  }
+
+  return [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//WaniKani Level 60 Predictor//EN', 'CALSCALE:GREGORIAN',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].join('\r\n') + '\r\n';
+}
+
+function exportIcs() {
+  if (!_stats) return;
+  downloadFile(exportName('ics'), 'text/calendar', buildIcs());
+}
+
+// ── team comparison ────────────────────────────────────────────────────────
+// Saved teammates: { label, token } for live accounts or { label, snapshot } for a
+// JSON export, so nobody has to hand over an API key
+const TEAM_KEY = 'wk-team-profiles';
+const TEAM_COLORS = ['#c0392b', '#4a7c59', '#c9943a', '#2c5f8a', '#7d4e9e', '#1a1410', '#b5651d', '#5f8f8f'];
+
+function loadTeamProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(TEAM_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveTeamProfiles(list) {
+  localStorage.setItem(TEAM_KEY, JSON.stringify(list));
+  renderTeamProfiles();
+}
+
+// Stats, accuracy, level-over-time curve and Level 60 date for one teammate, projected
+// from when the data is from
+function teamMember(label, { progressions, level, breaks, accuracy, asOf, source }) {
+  const stats = computeStats(progressions, level, [], breaks);
+  if (!stats) throw new Error('needs at least 2 completed levels');
+  const curve = [{ t: new Date(stats.done[0].data.started_at), level: stats.levels[0] }]
+    .concat(stats.done.map(p => ({ t: new Date(p.data.passed_at), level: p.data.level + 1 })))
+    .concat([{ t: asOf, level }]);
+  return {
+    label, level, stats, accuracy, asOf, source, curve,
+    finish: skipBreaks(asOf, Math.max(0, MAX_LEVEL - level) * stats.median, breaks),
+  };
+}
+
+function teamMemberFromData(label, data) {
+  const level = data.user.data.current_level ?? data.user.data.level;
+  const runs = splitRuns(data.progressions, level, data.resets);
+  return teamMember(label, {
+    progressions: runs[runs.length - 1].progressions,
+    level,
+    breaks: breakRanges(loadBreaks(data.user.data.id), data.user.data.current_vacation_started_at),
+    accuracy: data.reviewStats?.length ? answerTotals(data.reviewStats).accuracy : null,
+    asOf: new Date(),
+    source: 'live',
+  });
+}
+
+function teamMemberFromSnapshot(label, snap) {
+  const progressions = snap.levels.map((l, i) => ({
+    id: i + 1,
+    object: 'level_progression',
+    data: { level: l.level, unlocked_at: l.unlocked || l.started, started_at: l.started, passed_at: l.passed, abandoned_at: null },
+  }));
+  return teamMember(label, {
+    progressions,
+    level: snap.user.level,
+    breaks: breakRanges(Array.isArray(snap.breaks) ? snap.breaks : []),
+    accuracy: Number.isFinite(snap.accuracy) ? snap.accuracy : null,
+    asOf: new Date(snap.exportedAt),
+    source: `snapshot · ${fmtDay(new Date(snap.exportedAt))}`,
+  });
+}
+
+const isSnapshot = snap => snap && Array.isArray(snap.levels) && Number.isInteger(snap.user?.level)
+  && !isNaN(new Date(snap.exportedAt)) && (snap.accuracy == null || Number.isFinite(snap.accuracy))
+  && snap.levels.every(l => Number.isInteger(l.level) && l.started && l.passed);
+
+async function fetchTeamData(token, signal) {
+  const tokenHash = await hashToken(token);
+  const cached = await cacheLoad(tokenHash);
+  const { data, cache } = await fetchWK(token, cached, signal);
+  await cacheSave({ ...cache, tokenHash, syncedAt: Date.now() });
+  return data;
+}
+
+function showTeam() {
+  document.getElementById('input-card').style.display = 'none';
+  document.getElementById('team-section').style.display = 'block';
+  renderTeamProfiles();
+}
+
+function hideTeam() {
+  _syncId++;
+  _abort?.abort();
+  document.getElementById('team-section').style.display = 'none';
+  document.getElementById('input-card').style.display = 'block';
+}
+
+function teamNote(msg, isError = false) {
+  const el = document.getElementById('team-note');
+  el.textContent = msg;
+  el.className = isError ? 'error-box' : 'share-note';
+  el.style.display = msg ? 'block' : 'none';
+}
+
+function renderTeamProfiles() {
+  const list = loadTeamProfiles();
+  document.getElementById('team-profiles').innerHTML = list.length ? list.map((p, i) => `
+    <div class="sched-row">
+      <span class="team-swatch" style="background:${TEAM_COLORS[i % TEAM_COLORS.length]}"></span>
+      <div class="sched-windows">
+        <span class="sched-window">
+          <input type="text" class="team-label" value="${escapeHtml(p.label)}" onchange="renameTeamProfile(${i}, this.value)" />
+        </span>
+        <span class="team-source">${p.token ? `token ····${escapeHtml(p.token.slice(-4))}` : `snapshot · level ${p.snapshot.user.level}`}</span>
+        <button class="sched-x" title="Remove" onclick="removeTeamProfile(${i})">×</button>
+      </div>
+    </div>`).join('') : '<p class="sched-off">No teammates yet.</p>';
+}
+
+function addTeamToken() {
+  const label = document.getElementById('team-new-label');
+  const token = document.getElementById('team-new-token');
+  if (!token.value.trim()) { teamNote('Paste a read-only API token for this teammate.', true); return; }
+  const list = loadTeamProfiles();
+  saveTeamProfiles([...list, { label: label.value.trim() || `Teammate ${list.length + 1}`, token: token.value.trim() }]);
+  label.value = token.value = '';
+  teamNote('');
+}
+
+async function importTeamSnapshot(input) {
+  const files = [...input.files];
+  input.value = '';
+  const list = loadTeamProfiles();
+  const skipped = [];
+  for (const file of files) {
+    try {
+      const snap = JSON.parse(await file.text());
+      if (!isSnapshot(snap)) throw new Error();
+      list.push({ label: snap.user.username || file.name.replace(/\.json$/, ''), snapshot: snap });
+    } catch (e) {
+      skipped.push(file.name);
+    }
+  }
+  saveTeamProfiles(list);
+  teamNote(skipped.length ? `Not a predictor JSON export: ${skipped.join(', ')}` : '', skipped.length > 0);
+}
+
+function renameTeamProfile(i, label) {
+  const list = loadTeamProfiles();
+  list[i].label = label.trim() || list[i].label;
+  saveTeamProfiles(list);
+}
+
+function removeTeamProfile(i) {
+  const list = loadTeamProfiles();
+  list.splice(i, 1);
+  saveTeamProfiles(list);
+}
+
+async function compareTeam() {
+  const list = loadTeamProfiles();
+  if (!list.length) { teamNote('Add a token or import a snapshot first.', true); return; }
+  const syncId = ++_syncId;
+  _abort?.abort();
+  const abort = _abort = new AbortController();
+  const failed = [];
+  _team = [];
+  const btn = document.getElementById('team-compare-btn');
+  btn.disabled = true;
+
+  // Back (or another sync) bumps _syncId; the button comes back either way
+  try {
+    for (const [i, p] of list.entries()) {
+      teamNote(`Loading ${p.label} (${i + 1} of ${list.length})...`);
+      try {
+        const member = p.snapshot
+          ? teamMemberFromSnapshot(p.label, p.snapshot)
+          : teamMemberFromData(p.label, await fetchTeamData(p.token, abort.signal));
+        _team.push({ ...member, color: TEAM_COLORS[i % TEAM_COLORS.length] });
+      } catch (e) {
+        if (syncId !== _syncId) return;
+        failed.push(`${p.label}: ${e.message}`);
+      }
+    }
+    if (syncId !== _syncId) return;
+    if (_abort === abort) _abort = null;
+  } finally {
+    btn.disabled = false;
+  }
+
+  teamNote(failed.length ? `Left out — ${failed.join(' · ')}` : '', failed.length > 0);
+  renderTeam();
+}
+
+function renderTeam() {
+  const el = document.getElementById('team-results');
+  if (!_team.length) { el.innerHTML = ''; return; }
+  const ranked = [..._team].sort((a, b) => a.finish - b.finish);
+  const fastest = Math.min(..._team.map(m => m.stats.median));
+
+  el.innerHTML = `
+    <div class="chart-wrap">
+      <div class="eyebrow">Level by date — everyone's current run</div>
+      ${teamCurvesSvg(_team)}
+      <div class="team-legend">
+        ${_team.map(m => `<span><i class="team-swatch" style="background:${m.color}"></i>${escapeHtml(m.label)}</span>`).join('')}
+      </div>
+    </div>
+    <div class="card">
+      <div class="eyebrow">Race to Level 60 · at each person's median pace</div>
+      <div class="team-table">
+        <div class="team-row head">
+          <span>#</span><span>Who</span><span>Level</span><span>Median</span><span>Recent</span><span>Accuracy</span><span>Level 60</span>
+        </div>
+        ${ranked.map((m, i) => `
+          <div class="team-row">
+            <span>${i + 1}</span>
+            <span><i class="team-swatch" style="background:${m.color}"></i>${escapeHtml(m.label)}<em>${m.source}</em></span>
+            <span>${m.level}</span>
+            <span class="${m.stats.median === fastest ? 'good' : ''}">${fmtDays(m.stats.median)}</span>
+            <span>${fmtDays(m.stats.recent)}</span>
+            <span>${m.accuracy == null ? '—' : `${m.accuracy.toFixed(1)}%`}</span>
+            <span>${m.level >= MAX_LEVEL ? 'Reached' : fmtDay(m.finish)}</span>
+          </div>`).join('')}
+      </div>
+    </div>`;
+}
+
+// Everyone's level over calendar time on shared axes
+function teamCurvesSvg(members) {
+  const W = 640, H = 240, padL = 34, padR = 16, padY = 16, base = H - 22;
+  const t0 = Math.min(...members.map(m => m.curve[0].t.getTime()));
+  const t1 = Math.max(...members.map(m => m.asOf.getTime()));
+  const top = Math.min(MAX_LEVEL, Math.ceil(Math.max(...members.map(m => m.level)) / 10) * 10);
+  const x = t => padL + ((t.getTime() - t0) / Math.max(1, t1 - t0)) * (W - padL - padR);
+  const y = l => base - ((l - 1) / Math.max(1, top - 1)) * (base - padY);
+
+  const grid = Array.from({ length: top / 10 + 1 }, (_, i) => Math.max(1, i * 10)).map(l => `
+    <line x1="${padL}" x2="${W - padR}" y1="${y(l).toFixed(1)}" y2="${y(l).toFixed(1)}" class="mc-grid" />
+    <text x="${padL - 6}" y="${(y(l) + 3).toFixed(1)}" class="mc-text" text-anchor="end">${l}</text>`).join('');
+
+  const lines = members.map(m => {
+    const pts = m.curve.map(p => `${x(p.t).toFixed(1)},${y(p.level).toFixed(1)}`).join(' ');
+    const end = m.curve[m.curve.length - 1];
+    return `<polyline points="${pts}" fill="none" stroke="${m.color}" stroke-width="2" stroke-linejoin="round">
+        <title>${escapeHtml(m.label)} — level ${m.level}</title></polyline>
+      <circle cx="${x(end.t).toFixed(1)}" cy="${y(end.level).toFixed(1)}" r="3" fill="${m.color}" />`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="mc-svg" role="img" aria-label="Team level by calendar date">
+    ${grid}
+    <line x1="${padL}" x2="${W - padR}" y1="${base}" y2="${base}" class="mc-axis" />
+    ${lines}
+    <text x="${padL}" y="${H - 6}" class="mc-text">${fmtShort(new Date(t0))}</text>
+    <text x="${W - padR}" y="${H - 6}" class="mc-text" text-anchor="end">${fmtShort(new Date(t1))}</text>
+  </svg>`;
+}
+
+// ── share ──────────────────────────────────────────────────────────────────
+// A share link carries only level durations, the current level and the pace choice,
+// packed into the URL fragment so it never reaches a server
+const SHARE_PREFIX = '#s=';
+const SHARE_VERSION = 1;
+
+const toBase64Url = bytes => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = text => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+async function streamBytes(bytes, transform) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+}
+
+// 'z' = deflated JSON, 'j' = plain JSON for browsers that can't deflate-raw
+// (no CompressionStream, or one without that format, as in Chrome 80–102)
+async function packShare(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      return 'z' + toBase64Url(await streamBytes(bytes, new CompressionStream('deflate-raw')));
+    } catch (e) { /* no deflate-raw — fall through to plain JSON */ }
+  }
+  return 'j' + toBase64Url(bytes);
+}
+
+async function unpackShare(text) {
+  const bytes = fromBase64Url(text.slice(1));
+  const json = text[0] === 'z' ? await streamBytes(bytes, new DecompressionStream('deflate-raw')) : bytes;
+  return JSON.parse(new TextDecoder().decode(json));
+}
+
+function sharePayload() {
+  const run = _runs[_runs.length - 1];
+  const open = run.progressions.filter(p => p.data.level === _currentLevel && !p.data.passed_at)
+    .sort((a, b) => progressionTime(b) - progressionTime(a))[0];
+  const elapsed = open ? (Date.now() - progressionTime(open)) / 864e5 : 0;
+  return {
+    v: SHARE_VERSION,
+    t: Date.now(),
+    l: _currentLevel,
+    e: Math.round(Math.max(0, elapsed - breakDaysWithin(open ? progressionTime(open) : new Date(), new Date(), activeBreaks())) * 10) / 10,
+    p: _activePace,
+    h: _ewmaHalfLife,
+    g: targetLevel(),
+    L: _stats.levels,
+    D: _stats.durs.map(d => Math.round(d * 10)),
+  };
+}
+
+// Rebuild just enough of the API shape for `render` from a share payload
+function shareData(share) {
+  const valid = share && share.v === SHARE_VERSION && Number.isInteger(share.l) && share.l >= 1 && share.l <= MAX_LEVEL
+    && Array.isArray(share.L) && Array.isArray(share.D) && share.L.length === share.D.length
+    && share.L.every(Number.isInteger) && share.D.every(d => Number.isFinite(d) && d > 0);
+  if (!valid) throw new Error('This share link is incomplete or from a newer version of the predictor.');
+
+  const iso = t => new Date(t).toISOString();
+  let t = share.t - (share.e || 0) * 864e5;
+  const levels = [{ level: share.l, started: t, passed: null }];
+  for (let i = share.L.length - 1; i >= 0; i--) {
+    const passed = t;
+    t -= (share.D[i] / 10) * 864e5;
+    levels.unshift({ level: share.L[i], started: t, passed });
+  }
+
+  return {
+    user: {
+      object: 'user',
+      data: {
+        id: `share-${share.t}`,
+        username: null,
+        level: share.l,
+        started_at: iso(levels[0].started),
+        current_vacation_started_at: null,
+      },
+    },
+    progressions: levels.map((p, i) => ({
+      id: i + 1,
+      object: 'level_progression',
+      data: {
+        level: p.level,
+        unlocked_at: iso(p.started),
+        started_at: iso(p.started),
+        passed_at: p.passed ? iso(p.passed) : null,
+        abandoned_at: null,
+      },
+    })),
+    reviewStats: [], assignments: [], allAssignments: [], subjects: [], srsSystems: [], leechSubjects: [],
+    resets: [],
+    readOnly: true,
+    badge: `Shared projection · as of ${fmtDate(new Date(share.t))} — read-only`,
+  };
+}
+
+async function shareLink() {
+  if (!_stats) return;
+  const url = `${location.href.split('#')[0]}${SHARE_PREFIX}${await packShare(sharePayload())}`;
+  const box = document.getElementById('share-url');
+  box.style.display = 'block';
+  box.value = url;
+  box.select();
+  try {
+    await navigator.clipboard.writeText(url);
+    document.getElementById('share-note').textContent = 'Link copied — it holds your level times and pace only, never your token.';
+  } catch (e) {
+    document.getElementById('share-note').textContent = 'Copy the link above — it holds your level times and pace only, never your token.';
+  }
+}
+
+async function openShare(text) {
+  clearError();
+  _syncId++;
+  _abort?.abort();
+  stopLive();
+  document.getElementById('sync-bar').style.display = 'none';
+  document.getElementById('warn-box').style.display = 'none';
+  try {
+    const share = await unpackShare(text);
+    const data = shareData(share);
+    _activePace = PACE_MODELS[share.p] ? share.p : 'median';
+    configureEngine({
+      ewmaHalfLife: Number(share.h) || DEFAULT_EWMA_HALF_LIFE,
+      targetLevel: Math.min(MAX_LEVEL, Number(share.g) || MAX_LEVEL),
+    });
+    render(data, true);
+  } catch (e) {
+    showError(e.message && e.message.startsWith('This share link') ? e.message : 'This share link could not be read.');
+  }
+}
+
+// 1200×630 summary image of the headline projection
+function summaryCanvas() {
+  const W = 1200, H = 630;
+  const canvas = document.createElement('canvas');
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext('2d');
+  const serif = "'Shippori Mincho', serif", mono = "'DM Mono', monospace";
+  const left = levelsLeft();
+  const dpL = paceDays(_stats, _activePace);
+  const pred = projectDate(left * dpL);
+
+  ctx.fillStyle = '#f5f0e8';
+  ctx.fillRect(0, 0, W, H);
+  ctx.fillStyle = '#c0392b';
+  ctx.fillRect(0, 0, 12, H);
+
+  ctx.fillStyle = '#8a7f72';
+  ctx.font = `20px ${mono}`;
+  ctx.fillText('WANIKANI LEVEL 60 PREDICTOR', 72, 80);
+  ctx.fillStyle = '#1a1410';
+  ctx.font = `600 40px ${serif}`;
+  ctx.fillText(`Level ${_currentLevel} → ${targetLevel()}`, 72, 150);
+
+  ctx.fillStyle = '#c0392b';
+  ctx.font = `800 92px ${serif}`;
+  ctx.fillText(fmtDate(pred), 72, 270);
+  ctx.fillStyle = '#8a7f72';
+  ctx.font = `22px ${mono}`;
+  ctx.fillText(`${relDays(pred)} · ${fmtDays(dpL)} per level · ${PACE_MODELS[_activePace]?.label || 'Median'} pace`, 72, 320);
+
+  [['Optimistic', _stats.fast], ['Median', _stats.median], ['Conservative', _stats.slow]].forEach(([label, d], i) => {
+    const x = 72 + i * 230;
+    ctx.fillStyle = '#8a7f72';
+    ctx.font = `16px ${mono}`;
+    ctx.fillText(label.toUpperCase(), x, 420);
+    ctx.fillStyle = '#1a1410';
+    ctx.font = `700 48px ${serif}`;
+    ctx.fillText(String(projectDate(left * d).getFullYear()), x, 475);
+  });
+
+  // Days per level, oldest to newest
+  const durs = _stats.durs;
+  const top = Math.max(...durs);
+  const [bx, by, bw, bh] = [800, 380, 340, 120];
+  const slot = bw / durs.length;
+  durs.forEach((d, i) => {
+    ctx.fillStyle = d > _stats.median * 1.5 ? '#c0392b' : d < _stats.median * 0.7 ? '#c9943a' : '#4a7c59';
+    const h = Math.max(2, (d / top) * bh);
+    ctx.fillRect(bx + i * slot, by + bh - h, Math.max(1, slot - 2), h);
+  });
+  ctx.fillStyle = '#8a7f72';
+  ctx.font = `16px ${mono}`;
+  ctx.fillText('DAYS PER LEVEL', bx, by + bh + 30);
+
+  ctx.fillText(`As of ${fmtDate(new Date())}`, 72, H - 60);
+  return canvas;
+}
+
+function downloadSummaryPng() {
+  if (!_stats) return;
+  summaryCanvas().toBlob(blob => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = exportName('png');
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, 'image/png');
+}
+
+// ── live mode ──────────────────────────────────────────────────────────────
+// Opt-in: re-sync on a timer and at every review window, and compare each sync with
+// the last to raise alerts. The tab has to stay open; the service worker shows the
+// notifications while it's in the background and focuses it on click.
+const LIVE_KEY = 'wk-live';
+const LIVE_INTERVAL_MS = 10 * 60000;
+const LIVE_IMMINENT_MS = 24 * 3600000;
+
+function liveSummary() {
+  const blocked = !('Notification' in window) || Notification.permission !== 'granted';
+  return `live, re-syncing every ${LIVE_INTERVAL_MS / 60000} min${blocked ? ' (notifications are off)' : ''}`;
+}
+
+async function toggleLive() {
+  if (_live) {
+    stopLive();
+    localStorage.removeItem(LIVE_KEY);
+  } else {
+    if ('Notification' in window && Notification.permission === 'default') await Notification.requestPermission();
+    localStorage.setItem(LIVE_KEY, '1');
+    startLive();
+  }
+  if (_syncStatus) setSyncStatus(..._syncStatus);
+}
+
+function startLive() {
+  stopLive();
+  if ('serviceWorker' in navigator && location.protocol !== 'file:') navigator.serviceWorker.register('sw.js').catch(() => {});
+  _live = { last: liveState(), alerted: new Set(), tick: setInterval(() => liveSync(false), LIVE_INTERVAL_MS), window: null };
+  scheduleWindowSync();
+}
+
+function stopLive() {
+  if (!_live) return;
+  clearInterval(_live.tick);
+  clearTimeout(_live.window);
+  _live = null;
+}
+
+// Extra sync the moment the next review window opens
+function scheduleWindowSync() {
+  clearTimeout(_live.window);
+  const now = new Date();
+  const at = nextWindow(now);
+  if (at > now) _live.window = setTimeout(() => liveSync(true), at - now);
+}
+
+async function liveSync(windowOpened) {
+  await run({ live: true });
+  if (!_live) return;
+  checkLiveAlerts(windowOpened);
+  if (windowOpened) scheduleWindowSync();
+}
+
+function pendingReviews() {
+  const now = new Date();
+  return (_data.allAssignments?.length ? _data.allAssignments : _data.assignments || [])
+    .filter(a => a.data.started_at && !a.data.burned_at && a.data.available_at && new Date(a.data.available_at) <= now).length;
+}
+
+const liveState = () => ({ level: _currentLevel, kanjiAtGuru: _nextLevel?.kanjiAtGuru ?? 0, pending: pendingReviews() });
+
+function checkLiveAlerts(windowOpened) {
+  const prev = _live.last;
+  const now = _live.last = liveState();
+  const next = _currentLevel + 1;
+
+  if (windowOpened && now.pending) {
+    notify('Review window open', `${now.pending} review${now.pending === 1 ? '' : 's'} waiting`, 'wk-window');
+  }
+  if (now.level > prev.level) {
+    notify(`Level ${now.level} unlocked`, 'New radicals and kanji are waiting in your lessons.', 'wk-level');
+  } else if (_nextLevel && now.kanjiAtGuru > prev.kanjiAtGuru) {
+    const left = _nextLevel.kanjiStillNeeded;
+    notify(`${now.kanjiAtGuru - prev.kanjiAtGuru} kanji reached Guru`,
+      left > 0 ? `${left} more to level ${next}` : `That's enough for level ${next}`, 'wk-guru');
+  }
+
+  const key = `imminent-${now.level}`;
+  if (_nextLevel && !_live.alerted.has(key) && (_nextLevel.imminent || _nextLevel.levelUpDate - Date.now() < LIVE_IMMINENT_MS)) {
+    _live.alerted.add(key);
+    notify('Level-up is close', _nextLevel.imminent
+      ? `Level ${next} unlocks as soon as WaniKani catches up`
+      : `Level ${next} expected ${fmtDateTime(_nextLevel.levelUpDate)}`, 'wk-imminent');
+  }
+}
+
+// Best effort: some browsers (Chrome on Android) reject page-made notifications
+async function notify(title, body, tag) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) await reg.showNotification(title, { body, tag });
+    else new Notification(title, { body, tag });
+  } catch (e) { /* rejected — nothing to fall back to */ }
 }
 
 // ── main actions ───────────────────────────────────────────────────────────
-async function run() {
+// Renders the cached copy straight away, then syncs in the background
+async function run({ force = false, live = false } = {}) {
   const token = document.getElementById('token-input').value.trim();
   if (!token) { showError('Please enter your API key.'); return; }
   clearError();
-  setLoading(true);
+  const syncId = ++_syncId;
+  _abort?.abort();
+  const abort = _abort = new AbortController();
+
+  const tokenHash = await hashToken(token);
+  const cached = await cacheLoad(tokenHash);
+  if (cached && !force && !live) {
+    render(dataFromCollections(cached.user.resource, cached.collections), false);
+    setSyncStatus('syncing', cached.syncedAt);
+  } else if (_data && (force || live)) {
+    setSyncStatus('syncing', cached?.syncedAt);
+  } else {
+    setLoading(true);
+  }
+
   try {
-    const data = await fetchWK(token);
+    const { data, cache, warnings } = await fetchWK(token, force ? null : cached, abort.signal, setLoadingMsg);
+    if (syncId !== _syncId) return;
     render(data, false);
+    showWarnings(warnings);
+    recordSnapshot(data.user.data.id, { live });
+    renderHistory(data.user.data.id);
+    const syncedAt = Date.now();
+    if (!_live && !_data.readOnly && localStorage.getItem(LIVE_KEY)) startLive();
+    setSyncStatus('synced', syncedAt);
+    await cacheSave({ ...cache, tokenHash, syncedAt });
   } catch (e) {
-    setLoading(false);
-    showError(e.message);
+    if (syncId !== _syncId) return;
+    if (_data) {
+      setSyncStatus(isAbort(e) ? 'cancelled' : 'error', cached?.syncedAt, e.message);
+    } else {
+      setLoading(false);
+      showError(isAbort(e) ? 'Load cancelled.' : e.message);
+    }
+  } finally {
+    if (_abort === abort) _abort = null;
   }
 }
 
+function cancelLoad() {
+  _abort?.abort();
+}
+
+function forceRefresh() {
+  run({ force: true });
+}
+
+function showWarnings(warnings) {
+  const el = document.getElementById('warn-box');
+  el.style.display = warnings.length ? 'block' : 'none';
+  el.innerHTML = warnings.length
+    ? `Some sections couldn't be refreshed:<ul>${warnings.map(w => `
+        <li><strong>${w.section}</strong> — ${w.message}.
+          ${w.stale ? 'Showing your last cached copy.' : 'This part of the dashboard is hidden or incomplete.'}</li>`).join('')}
+      </ul>`
+    : '';
+}
+
+function setSyncStatus(state, syncedAt, message) {
+  _syncStatus = [state, syncedAt, message];
+  const el = document.getElementById('sync-bar');
+  const since = syncedAt ? `last synced ${fmtAgo(syncedAt)}` : 'never synced';
+  const text = state === 'syncing'   ? `Syncing with WaniKani… <span id="sync-progress"></span> · ${since}`
+             : state === 'error'     ? `Sync failed (${message}) · showing cached data, ${since}`
+             : state === 'cancelled' ? `Sync cancelled · showing cached data, ${since}`
+             : `Up to date · ${since}`;
+  el.innerHTML = `<span class="sync-state ${state}">${text}${_live ? ` · ${liveSummary()}` : ''}</span>
+    ${state === 'syncing'
+      ? '<button class="demo-link" onclick="cancelLoad()">Cancel</button>'
+      : '<button class="demo-link" onclick="forceRefresh()">Force full refresh</button>'}
+    <button class="demo-link" onclick="toggleLive()">${_live ? 'Stop live mode' : 'Go live'}</button>`;
+  el.style.display = 'flex';
+}
+
+function runDemo(key) {
+  clearError();
+  document.getElementById('demo-picker').style.display = 'none';
+  _syncId++;
+  _abort?.abort();
+  stopLive();
+  document.getElementById('sync-bar').style.display = 'none';
+  document.getElementById('warn-box').style.display = 'none';
+  render(buildDemoData(key), true);
+}
+
+function toggleDemoPicker() {
+  const el = document.getElementById('demo-picker');
+  const open = el.style.display === 'none';
+  el.innerHTML = Object.entries(DEMO_PROFILES).map(([key, p]) => `
+    <button class="demo-option" onclick="runDemo('${key}')">
+      <span class="demo-option-name">${p.name}</span>
+      <span class="demo-option-blurb">${p.blurb}</span>
+    </button>`).join('');
+  el.style.display = open ? 'grid' : 'none';
+}
+
 function reset() {
   document.getElementById('input-card').style.display = 'block';
   document.getElementById('results').style.display = 'none';
   document.getElementById('reset-btn').style.display = 'none';
+  document.getElementById('demo-badge').style.display = 'none';
+  document.getElementById('sync-bar').style.display = 'none';
+  document.getElementById('warn-box').style.display = 'none';
+  _syncId++;
+  _abort?.abort();
   document.getElementById('speedup-section').style.display = 'none';
   document.getElementById('next-level-section').style.display = 'none';
+  document.getElementById('workload-section').style.display = 'none';
   _stats = null;
+  _data = null;
+  _forecast = null;
   _activePace = 'median';
+  _mcHalfLife = 0;
+  document.getElementById('mc-weight').value = '0';
+  _chartMode = 'days';
+  _chartZoom = 1;
+  document.getElementById('mc-target').value = '';
+  document.getElementById('plan-date').value = '';
+  stopLive();
+  _habits = null;
+  document.getElementById('habits-card').style.display = 'none';
+  _planLevel = MAX_LEVEL;
+  configureEngine({ targetLevel: MAX_LEVEL, subscription: null, ewmaHalfLife: DEFAULT_EWMA_HALF_LIFE });
+  _breaks = [];
+  if (location.hash.startsWith(SHARE_PREFIX)) history.replaceState(null, '', location.pathname + location.search);
 }
 
 // ── UI helpers ─────────────────────────────────────────────────────────────
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
 function setLoading(on) {
   document.getElementById('loading').style.display = on ? 'block' : 'none';
   document.getElementById('input-card').style.display = on ? 'none' : 'block';
@@ -622,6 +2389,8 @@ function setLoading(on) {
 function setLoadingMsg(msg) {
   const el = document.getElementById('loading-msg');
   if (el) el.textContent = msg;
+  const bar = document.getElementById('sync-progress');
+  if (bar) bar.textContent = `· ${msg.replace(/\.\.\.$/, '')}`;
 }
 
 function showError(msg) {
@@ -638,3 +2407,9 @@ function clearError() {
 document.getElementById('token-input').addEventListener('keydown', e => {
   if (e.key === 'Enter') run();
 });
+
+// Opening a share link renders it straight away, without a token
+if (location.hash.startsWith(SHARE_PREFIX)) openShare(location.hash.slice(SHARE_PREFIX.length));
+window.addEventListener('hashchange', () => {
+  if (location.hash.startsWith(SHARE_PREFIX)) openShare(location.hash.slice(SHARE_PREFIX.length));
+});
@@ -0,0 +1,1184 @@
+// ── prediction engine ──────────────────────────────────────────────────────
+// Everything that turns WaniKani data into predictions, with no DOM access, so the
+// page (app.js) and the command line (wk-predict.js) share one implementation.
+// Loaded as a plain script in the browser; require()-able in Node.
+
+// ── engine state ───────────────────────────────────────────────────────────
+const DEFAULT_EWMA_HALF_LIFE = 5; // levels
+
+let _currentLevel = 0;
+let _srsSystems = new Map();
+let _reviewSchedule = null;
+let _ewmaHalfLife = DEFAULT_EWMA_HALF_LIFE;
+let _targetLevel = 60;
+let _subscription = null;
+
+// Account-wide inputs the calculations read; anything left out keeps its value
+function configureEngine({ currentLevel, srsSystems, reviewSchedule, ewmaHalfLife, targetLevel, subscription } = {}) {
+  if (currentLevel !== undefined) _currentLevel = currentLevel;
+  if (srsSystems !== undefined) _srsSystems = new Map(srsSystems.map(s => [s.id, s]));
+  if (reviewSchedule !== undefined) _reviewSchedule = reviewSchedule;
+  if (ewmaHalfLife !== undefined) _ewmaHalfLife = ewmaHalfLife;
+  if (targetLevel !== undefined) _targetLevel = targetLevel;
+  if (subscription !== undefined) _subscription = subscription;
+}
+
+// ── helpers ────────────────────────────────────────────────────────────────
+const addDays = (d, n) => new Date(d.getTime() + n * 864e5);
+const startOfDay = d => { const x = new Date(d); x.setHours(0, 0, 0, 0); return x; };
+const fmtDate = d => d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+const fmtShort = d => new Date(d).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+const fmtDateTime = d => d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+function fmtAgo(t) {
+  const mins = Math.round((Date.now() - t) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 1440) return `${Math.round(mins / 60)}h ago`;
+  return `${Math.round(mins / 1440)}d ago`;
+}
+
+function relDays(d) {
+  const diff = Math.round((d - Date.now()) / 864e5);
+  if (diff <= 0) return 'in the past';
+  if (diff < 30) return `${diff}d from now`;
+  if (diff < 365) return `~${Math.round(diff / 30)}mo from now`;
+  return `~${(diff / 365).toFixed(1)}yr from now`;
+}
+
+const meanOf = values => values.reduce((s, v) => s + v, 0) / values.length;
+
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function fmtDays(d) {
+  if (d < 1) return `${Math.round(d * 24)}h`;
+  if (d < 2) return `${d.toFixed(1)}d`;
+  return `${Math.round(d)}d`;
+}
+
+// ── review schedule ────────────────────────────────────────────────────────
+const DEFAULT_REVIEW_WINDOWS = [9 * 60, 18 * 60]; // 9am and 6pm, minutes after midnight
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// One sorted list of windows per weekday, Sunday first (Date#getDay order)
+const defaultSchedule = () => DAY_NAMES.map(() => [...DEFAULT_REVIEW_WINDOWS]);
+_reviewSchedule = defaultSchedule();
+
+function fmtClock(m) {
+  const h = Math.floor(m / 60), min = m % 60;
+  return `${h % 12 || 12}${min ? `:${String(min).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+const fmtWindows = wins => wins.length ? wins.map(fmtClock).join(' & ') : 'off';
+
+function scheduleSummary() {
+  const key  = d => d.join(',');
+  const same = days => days.every(d => key(d) === key(days[0]));
+  const weekdays = _reviewSchedule.slice(1, 6);
+  const weekend  = [_reviewSchedule[0], _reviewSchedule[6]];
+  if (same(_reviewSchedule)) return fmtWindows(_reviewSchedule[0]);
+  if (same(weekdays) && same(weekend)) return `weekdays ${fmtWindows(weekdays[0])} · weekends ${fmtWindows(weekend[0])}`;
+  return 'custom weekly schedule';
+}
+
+// The most common non-empty day, used for the advice text
+function typicalWindows() {
+  const counts = new Map();
+  for (const d of _reviewSchedule) {
+    if (d.length) counts.set(d.join(','), (counts.get(d.join(',')) || 0) + 1);
+  }
+  const best = [...counts].sort((a, b) => b[1] - a[1])[0];
+  return best ? best[0].split(',').map(Number) : [];
+}
+
+// ── SRS systems ────────────────────────────────────────────────────────────
+// Fallback when /v2/spaced_repetition_systems is unavailable: the standard ladder
+const DEFAULT_SRS_SYSTEM = {
+  id: 1,
+  data: {
+    name: 'Default',
+    unlocking_stage_position: 0,
+    starting_stage_position: 1,
+    passing_stage_position: 5,
+    burning_stage_position: 9,
+    stages: [null, 4, 8, 23, 47, 167, 335, 719, 2879, null]
+      .map((h, position) => ({ position, interval: h && h * 3600, interval_unit: h && 'seconds' })),
+  },
+};
+const KANJI_PASS_RATIO = 0.9; // share of a level's kanji that must reach Guru
+
+function nextWindow(availableAt) {
+  const d = new Date(availableAt);
+  for (let dayOffset = 0; dayOffset <= 14; dayOffset++) {
+    const day = new Date(d);
+    day.setDate(day.getDate() + dayOffset);
+    for (const m of _reviewSchedule[day.getDay()]) {
+      const candidate = new Date(day);
+      candidate.setHours(0, m, 0, 0);
+      if (candidate > d) return candidate;
+    }
+  }
+  return d;
+}
+
+function srsSystem(id) {
+  return _srsSystems.get(id) || _srsSystems.get(DEFAULT_SRS_SYSTEM.id) || DEFAULT_SRS_SYSTEM;
+}
+
+// Milliseconds per interval_unit; a missing unit means seconds, as the API sends today
+const INTERVAL_UNIT_MS = {
+  milliseconds: 1, seconds: 1000, minutes: 60000, hours: 3600000, days: 864e5, weeks: 7 * 864e5,
+};
+
+function stageIntervalMs(system, position) {
+  const stage = system.data.stages.find(s => s.position === position);
+  return (stage?.interval || 0) * (INTERVAL_UNIT_MS[stage?.interval_unit] ?? INTERVAL_UNIT_MS.seconds);
+}
+
+function timeToPassMs(system) {
+  let ms = 0;
+  for (let p = system.data.starting_stage_position; p < system.data.passing_stage_position; p++) {
+    ms += stageIntervalMs(system, p);
+  }
+  return ms;
+}
+
+// Accelerated systems only cover the first levels, so project the rest on the slowest ladder
+function projectionSrsSystem() {
+  const systems = _srsSystems.size ? [..._srsSystems.values()] : [DEFAULT_SRS_SYSTEM];
+  return systems.reduce((a, b) => timeToPassMs(b) > timeToPassMs(a) ? b : a);
+}
+
+// WaniKani's penalty: drop ceil(wrong / 2) stages, twice that from Guru up,
+// never below the starting stage
+function srsPenalty(stage, wrong, system) {
+  const { starting_stage_position: first, passing_stage_position: pass } = system.data;
+  const drop = Math.ceil(wrong / 2) * (stage >= pass ? 2 : 1);
+  return Math.max(first, stage - drop);
+}
+
+// Wrong answers before the right one, at a per-answer failure probability p
+function countMisses(p, rand) {
+  let n = 0;
+  while (n < 10 && rand() < p) n++;
+  return n;
+}
+
+// Past this many reviews a struggling item stops missing and climbs straight to Guru,
+// so very low accuracy can't keep the simulation going indefinitely
+const MAX_SIMULATED_REVIEWS = 16;
+
+// reviewDate is when the item arrived at `currentStage` (starting stage = lesson just done).
+// With `miss` ({ meaning, reading } failure rates) each review can fail and drop the item back.
+function simulateToGuru(startDate, currentStage, system = srsSystem(), miss = null, rand = Math.random) {
+  let reviewDate = new Date(startDate);
+  let stage = currentStage;
+  for (let n = 0; stage < system.data.passing_stage_position; n++) {
+    const availableAt = new Date(reviewDate.getTime() + stageIntervalMs(system, stage));
+    reviewDate = nextWindow(availableAt);
+    const wrong = miss && n < MAX_SIMULATED_REVIEWS ? countMisses(miss.meaning, rand) + countMisses(miss.reading, rand) : 0;
+    stage = wrong ? srsPenalty(stage, wrong, system) : stage + 1;
+  }
+  return reviewDate;
+}
+
+// ── runs & resets ──────────────────────────────────────────────────────────
+const progressionTime = p => new Date(p.data.started_at || p.data.unlocked_at);
+
+// Fallback when /v2/resets is unavailable: a level drop back to 5 or below looks like a reset
+function inferResets(progressions) {
+  const sorted = [...progressions].sort((a, b) => progressionTime(a) - progressionTime(b));
+  const resets = [];
+  let prevLevel = 0;
+  for (const p of sorted) {
+    if (p.data.level <= prevLevel && p.data.level <= 5) {
+      resets.push({ data: {
+        confirmed_at: p.data.started_at || p.data.unlocked_at,
+        original_level: prevLevel,
+        target_level: p.data.level,
+      } });
+    }
+    prevLevel = p.data.level;
+  }
+  return resets;
+}
+
+// Split the history at each confirmed reset; the last run is the current one
+function splitRuns(progressions, currentLevel, resets) {
+  const confirmed = (resets ?? inferResets(progressions))
+    .filter(r => r.data.confirmed_at)
+    .sort((a, b) => new Date(a.data.confirmed_at) - new Date(b.data.confirmed_at));
+  const bounds = confirmed.map(r => new Date(r.data.confirmed_at));
+
+  const runs = [...confirmed, null].map((reset, i) => ({
+    index: i,
+    current: !reset,
+    resetAt: reset ? bounds[i] : null,
+    startLevel: i === 0 ? 1 : confirmed[i - 1].data.target_level,
+    endLevel: reset ? reset.data.original_level : currentLevel,
+    progressions: [],
+  }));
+  for (const p of progressions) {
+    const t = progressionTime(p);
+    runs[bounds.filter(b => t >= b).length].progressions.push(p);
+  }
+  for (const run of runs) {
+    const times = run.progressions.map(progressionTime).sort((a, b) => a - b);
+    run.start = times[0] || run.resetAt;
+  }
+  return runs;
+}
+
+const runLabel = run => `Run ${run.index + 1}${run.current ? ' · current' : ''}`;
+
+// ── breaks & vacations ─────────────────────────────────────────────────────
+const dateValue = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const dayStart  = v => new Date(`${v}T00:00`);
+
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const r of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = new Date(Math.max(last.end, r.end));
+    else merged.push({ ...r });
+  }
+  return merged.filter(r => r.end > r.start);
+}
+
+// Marked breaks ({ start, end } as inclusive YYYY-MM-DD days) plus an ongoing vacation
+// (assumed to end today), as merged Date ranges
+function breakRanges(marked, vacation = null) {
+  const ranges = marked.map(b => ({ start: dayStart(b.start), end: addDays(dayStart(b.end), 1) }));
+  if (vacation) ranges.push({ start: new Date(vacation), end: new Date() });
+  return mergeRanges(ranges);
+}
+
+function breakDaysWithin(from, to, breaks) {
+  let ms = 0;
+  for (const b of breaks) ms += Math.max(0, Math.min(to, b.end) - Math.max(from, b.start));
+  return ms / 864e5;
+}
+
+// `days` of study counted from `from`, with any breaks on the way added on top
+function skipBreaks(from, days, breaks) {
+  let end = addDays(from, days);
+  for (const b of breaks) {
+    if (b.end <= from) continue;
+    if (b.start >= end) break;
+    end = new Date(end.getTime() + (b.end - Math.max(b.start, from)));
+  }
+  return end;
+}
+
+// ── stats computation ──────────────────────────────────────────────────────
+// Radicals unlock together with their level, so their unlocked_at pins them to it
+const UNLOCK_MATCH_MS = 10 * 60000;
+
+// Unlock → first lesson is the lesson lag. Start → pass splits where the level's last
+// radical reached Guru, when assignments for those radicals are available.
+function levelPhases(done, assignments = []) {
+  const radicals = assignments.filter(a =>
+    a.data.subject_type === 'radical' && a.data.unlocked_at && a.data.passed_at);
+  return done.map(p => {
+    const started  = new Date(p.data.started_at);
+    const passed   = new Date(p.data.passed_at);
+    const unlocked = p.data.unlocked_at ? new Date(p.data.unlocked_at) : started;
+    const own = radicals.filter(a => Math.abs(new Date(a.data.unlocked_at) - unlocked) < UNLOCK_MATCH_MS);
+    const guru = own.length ? new Date(Math.max(...own.map(a => new Date(a.data.passed_at)))) : null;
+    const split = guru && guru > started && guru < passed;
+    return {
+      level:    p.data.level,
+      lag:      Math.max(0, (started - unlocked) / 864e5),
+      radicals: split ? (guru - started) / 864e5 : null,
+      kanji:    split ? (passed - guru) / 864e5 : null,
+    };
+  });
+}
+
+// `progressions` is one run; passed levels abandoned by a later reset still count for it
+function computeStats(progressions, currentLevel, assignments = [], breaks = []) {
+  const latest = new Map();
+  for (const p of progressions) {
+    if (!p.data.passed_at || p.data.level >= currentLevel) continue;
+    const prev = latest.get(p.data.level);
+    if (!prev || progressionTime(p) > progressionTime(prev)) latest.set(p.data.level, p);
+  }
+  const done = [...latest.values()];
+  if (done.length < 2) return null;
+
+  done.sort((a, b) => a.data.level - b.data.level);
+
+  // Time spent on marked breaks doesn't count toward a level
+  const paused = done.map(p => breakDaysWithin(new Date(p.data.started_at), new Date(p.data.passed_at), breaks));
+  const durs = done.map((p, i) => Math.max(1 / 24,
+    (new Date(p.data.passed_at) - new Date(p.data.started_at)) / 864e5 - paused[i]
+  ));
+  const sorted = [...durs].sort((a, b) => a - b);
+  const levels = done.map(p => p.data.level);
+  const [avg, median, fast, slow, recent] = ['avg', 'median', 'fast', 'slow', 'recent']
+    .map(k => PACE_MODELS[k].pace({ durs, sorted, levels }));
+
+  const phases   = levelPhases(done, assignments);
+  const totalLag = phases.reduce((s, p) => s + p.lag, 0);
+  const split    = phases.filter(p => p.radicals != null);
+  const mean     = (list, k) => list.length ? list.reduce((s, p) => s + p[k], 0) / list.length : null;
+  const phaseAvg = { lag: totalLag / phases.length, active: avg, radicals: mean(split, 'radicals'), kanji: mean(split, 'kanji') };
+
+  return { avg, median, fast, slow, recent, durs, sorted, levels, done, paused, phases, totalLag, phaseAvg };
+}
+
+// ── target level ───────────────────────────────────────────────────────────
+const MAX_LEVEL = 60;
+
+// Free accounts stop at level 3 and lapsed ones at whatever the API grants. An account
+// already past its cap (a lapsed subscription) is projected as if it renews.
+const maxLevelGranted = () => Math.min(MAX_LEVEL, _subscription?.max_level_granted ?? MAX_LEVEL);
+const pastLevelCap = () => _currentLevel > maxLevelGranted();
+const levelCap = () => pastLevelCap() ? MAX_LEVEL : maxLevelGranted();
+const targetLevel = () => Math.min(_targetLevel, levelCap());
+const levelsLeft = () => Math.max(0, targetLevel() - _currentLevel);
+
+// ── pace models ────────────────────────────────────────────────────────────
+const OUTLIER_FACTOR = 3;   // levels this many times the median look like breaks
+const OUTLIER_WEIGHT = 0.1;
+const BACKTEST_MIN_LEVELS = 5;
+const BACKTEST_HORIZON = 10;
+
+// Recent levels count more; weight halves every `halfLife` levels back
+function ewmaPace(durs, halfLife) {
+  let sum = 0, weight = 0;
+  durs.forEach((d, i) => {
+    const w = 0.5 ** ((durs.length - 1 - i) / halfLife);
+    sum += w * d;
+    weight += w;
+  });
+  return sum / weight;
+}
+
+// Least-squares line through duration vs level, averaged over the levels ahead.
+// Never faster than your fastest level so far.
+function trendPace({ durs, levels }, ahead) {
+  const mx = meanOf(levels), my = meanOf(durs);
+  let sxy = 0, sxx = 0;
+  levels.forEach((x, i) => { sxy += (x - mx) * (durs[i] - my); sxx += (x - mx) ** 2; });
+  const slope = sxx ? sxy / sxx : 0;
+  const targets = ahead.length ? ahead : [levels[levels.length - 1] + 1];
+  const floor = Math.min(...durs);
+  return meanOf(targets.map(l => Math.max(floor, my + slope * (l - mx))));
+}
+
+function robustPace(durs, sorted) {
+  const limit = quantile(sorted, 0.5) * OUTLIER_FACTOR;
+  let sum = 0, weight = 0;
+  for (const d of durs) {
+    const w = d > limit ? OUTLIER_WEIGHT : 1;
+    sum += w * d;
+    weight += w;
+  }
+  return sum / weight;
+}
+
+// Each model turns a level history ({ durs, sorted, levels }) into days per level
+// for the levels `ahead`
+const PACE_MODELS = {
+  fast:   { label: 'Fast 25%', pace: h => quantile(h.sorted, 0.25) },
+  median: { label: 'Median',   pace: h => quantile(h.sorted, 0.5) },
+  avg:    { label: 'Average',  pace: h => meanOf(h.durs) },
+  recent: { label: 'Recent 5', pace: h => meanOf(h.durs.slice(-5)) },
+  slow:   { label: 'Slow 75%', pace: h => quantile(h.sorted, 0.75) },
+  ewma:   { label: 'EWMA',     pace: h => ewmaPace(h.durs, _ewmaHalfLife),
+            about: 'Weighted average, halving the weight every few levels back' },
+  trend:  { label: 'Trend',    pace: (h, ahead) => trendPace(h, ahead),
+            about: 'Straight-line fit of level time against level number' },
+  robust: { label: 'Robust',   pace: h => robustPace(h.durs, h.sorted),
+            about: `Average with levels over ${OUTLIER_FACTOR}× the median (breaks) down-weighted` },
+};
+
+const levelsAhead = () => Array.from({ length: levelsLeft() }, (_, i) => _currentLevel + i);
+
+const paceDays = (stats, pace) =>
+  stats[pace] ?? (PACE_MODELS[pace] || PACE_MODELS.median).pace(stats, levelsAhead());
+
+// Replays the run: at each past level every model predicts the next BACKTEST_HORIZON
+// levels from what came before, scored against the pace that actually followed
+function backtestPaces(stats) {
+  const { durs, levels } = stats;
+  const errors = Object.fromEntries(Object.keys(PACE_MODELS).map(k => [k, []]));
+  for (let k = BACKTEST_MIN_LEVELS; k < durs.length; k++) {
+    const past = durs.slice(0, k);
+    const h = { durs: past, sorted: [...past].sort((a, b) => a - b), levels: levels.slice(0, k) };
+    const actual = meanOf(durs.slice(k, k + BACKTEST_HORIZON));
+    const ahead  = levels.slice(k, k + BACKTEST_HORIZON);
+    for (const [key, model] of Object.entries(PACE_MODELS)) {
+      const predicted = model.pace(h, ahead);
+      errors[key].push({ abs: Math.abs(predicted - actual), rel: Math.abs(predicted - actual) / actual });
+    }
+  }
+  return Object.entries(errors)
+    .filter(([, list]) => list.length)
+    .map(([key, list]) => ({
+      key,
+      trials: list.length,
+      mae:  meanOf(list.map(e => e.abs)),
+      mape: meanOf(list.map(e => e.rel)) * 100,
+    }))
+    .sort((a, b) => a.mape - b.mape);
+}
+
+// ── Monte Carlo forecast ───────────────────────────────────────────────────
+const MC_RUNS = 5000;
+
+// Small seeded PRNG so the forecast doesn't jitter between re-renders
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Resample `left` level durations from history; halfLife (in levels) favours recent ones
+function simulateRemaining(durs, left, { runs = MC_RUNS, halfLife = 0, seed = 60 } = {}) {
+  const n = durs.length;
+  const weights = durs.map((_, i) => halfLife > 0 ? Math.pow(0.5, (n - 1 - i) / halfLife) : 1);
+  const cum = [];
+  weights.reduce((sum, w, i) => (cum[i] = sum + w), 0);
+  const total = cum[n - 1];
+  const rand = mulberry32(seed);
+
+  const pick = () => {
+    const r = rand() * total;
+    let lo = 0, hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cum[mid] < r) lo = mid + 1; else hi = mid;
+    }
+    return durs[lo];
+  };
+
+  const totals = new Float64Array(runs);
+  for (let r = 0; r < runs; r++) {
+    let days = 0;
+    for (let l = 0; l < left; l++) days += pick();
+    totals[r] = days;
+  }
+  return totals.sort();
+}
+
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+// Share of simulated runs finishing within `days`
+function chanceWithin(sorted, days) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= days) lo = mid + 1; else hi = mid;
+  }
+  return sorted.length ? lo / sorted.length : 0;
+}
+
+// ── window-based level time ────────────────────────────────────────────────
+function calcWindowLevelDays(lessonTime, system = projectionSrsSystem()) {
+  const start = system.data.starting_stage_position;
+  const radicalGuruDate = simulateToGuru(lessonTime, start, system);
+  const kanjiGuruDate   = simulateToGuru(radicalGuruDate, start, system);
+  const days = (kanjiGuruDate - lessonTime) / 864e5;
+  return { days, levelUpDate: kanjiGuruDate };
+}
+
+function calcWindowRoadToTarget() {
+  const left = levelsLeft();
+  const firstLesson = nextWindow(new Date());
+  const { days: windowDaysPerLevel } = calcWindowLevelDays(firstLesson);
+  const windowDate = addDays(new Date(), left * windowDaysPerLevel);
+  return { windowDaysPerLevel, windowDate };
+}
+
+// ── finish-by planner ──────────────────────────────────────────────────────
+const AVG_LEVEL_ITEMS = 150; // ~9,000 radicals, kanji and vocabulary over 60 levels
+
+// Works backwards from a target: the current level finishes at `levelUp`, the rest
+// share whatever time is left. The floor is a perfect level on your review windows.
+function planFinish(targetLevel, targetDate, { levelUp, itemsPerLevel = AVG_LEVEL_ITEMS, accuracy = 100, breaks = [] } = {}) {
+  const now = new Date();
+  const system = projectionSrsSystem();
+  const { days: minDaysPerLevel } = calcWindowLevelDays(nextWindow(now), system);
+  const srsFloorDays = (2 * timeToPassMs(system)) / 864e5; // reviewing the moment items come up
+  levelUp = levelUp || addDays(now, minDaysPerLevel);
+
+  const after = targetLevel - _currentLevel - 1;
+  const spare = (targetDate - levelUp) / 864e5 - breakDaysWithin(levelUp, targetDate, breaks);
+  const daysPerLevel  = after > 0 ? spare / after : null;
+  const lessonsPerDay = daysPerLevel > 0 ? itemsPerLevel / daysPerLevel : null;
+  // Once the pipeline fills, every lesson costs one review per stage up to Burned,
+  // and each miss adds a retry
+  const { starting_stage_position: first, burning_stage_position: burn } = system.data;
+  const reviewsPerDay = lessonsPerDay && (lessonsPerDay * (burn - first)) / Math.max(0.5, accuracy / 100);
+
+  const fits = floor => spare >= 0 && (after <= 0 || daysPerLevel >= floor);
+  return {
+    targetLevel, targetDate, levelUp, after,
+    daysPerLevel, lessonsPerDay, reviewsPerDay,
+    minDaysPerLevel, srsFloorDays,
+    earliest: skipBreaks(levelUp, Math.max(0, after) * minDaysPerLevel, breaks),
+    feasible: fits(minDaysPerLevel),
+    srsPossible: fits(srsFloorDays),
+  };
+}
+
+// ── next level prediction ──────────────────────────────────────────────────
+function subjectLabel(subject, fallbackId) {
+  if (!subject) return `#${fallbackId}`;
+  const d = subject.data;
+  if (d.characters) return d.characters;
+  const meaning = (d.meanings || []).find(m => m.primary) || (d.meanings || [])[0];
+  return meaning ? meaning.meaning : `#${subject.id}`;
+}
+
+const isPassed = (a, system) =>
+  !!a && (!!a.data.passed_at || a.data.srs_stage >= system.data.passing_stage_position);
+
+// Hands out lesson times at `perDay` lessons a day, each in the first review window
+// on or after `earliest`. Unlimited means every lesson is done in the next session.
+function lessonScheduler(now, perDay = Infinity) {
+  const taken = new Map();
+  return earliest => {
+    let at = earliest > now ? new Date(earliest) : nextWindow(now);
+    if (!Number.isFinite(perDay)) return at;
+    for (let i = 0; i < 366 && (taken.get(at.toDateString()) || 0) >= perDay; i++) {
+      const midnight = new Date(at);
+      midnight.setHours(24, 0, 0, 0);
+      const next = nextWindow(new Date(midnight.getTime() - 1));
+      at = next >= midnight ? next : midnight;
+    }
+    taken.set(at.toDateString(), (taken.get(at.toDateString()) || 0) + 1);
+    return at;
+  };
+}
+
+// Guru date for an unlocked item; a missing assignment means the lesson is still waiting
+function projectGuru(assignment, now, system, lessonAt) {
+  const d = assignment?.data;
+  if (!d || !d.started_at) return simulateToGuru(lessonAt(now), system.data.starting_stage_position, system);
+  const availableAt = d.available_at ? new Date(d.available_at) : now;
+  const reviewAt    = nextWindow(availableAt <= now ? now : availableAt);
+  return simulateToGuru(reviewAt, d.srs_stage + 1, system);
+}
+
+function computeNextLevel(assignments, subjects = [], { lessonsPerDay = Infinity } = {}) {
+  const now = new Date();
+  const lessonAt = lessonScheduler(now, lessonsPerDay);
+
+  const visible   = subjects.filter(s => !s.data.hidden_at);
+  const subjectOf = new Map(visible.map(s => [s.id, s]));
+  const byId      = new Map(assignments.map(a => [a.data.subject_id, a]));
+  const systemOf  = id => srsSystem(subjectOf.get(id)?.data.spaced_repetition_system_id);
+
+  // Prefer the level's subject list — locked kanji have no assignment yet
+  const idsOf = type => {
+    const ids = visible.filter(s => s.object === type).map(s => s.id);
+    return ids.length ? ids
+      : assignments.filter(a => a.data.subject_type === type).map(a => a.data.subject_id);
+  };
+
+  const radicals = new Map(idsOf('radical').map(id => {
+    const a = byId.get(id);
+    const system = systemOf(id);
+    return [id, {
+      id, type: 'radical',
+      label: subjectLabel(subjectOf.get(id), id),
+      stage: a ? a.data.srs_stage : 0,
+      started: !!a?.data.started_at,
+      locked: false,
+      guruDate: isPassed(a, system) ? null : projectGuru(a, now, system, lessonAt),
+    }];
+  }));
+
+  // Locked kanji unlock when their last component radical reaches Guru,
+  // and their lesson can be done in that same review session
+  const kanji = idsOf('kanji').map(id => {
+    const a = byId.get(id);
+    return {
+      id, type: 'kanji',
+      label: subjectLabel(subjectOf.get(id), id),
+      stage: a ? a.data.srs_stage : 0,
+      started: !!a?.data.started_at,
+      locked: !a && subjectOf.has(id),
+      gate: null,
+      system: systemOf(id),
+      assignment: a,
+    };
+  });
+
+  for (const item of kanji.filter(k => !k.locked)) {
+    item.guruDate = isPassed(item.assignment, item.system) ? null : projectGuru(item.assignment, now, item.system, lessonAt);
+  }
+  for (const item of kanji.filter(k => k.locked)) {
+    const components = (subjectOf.get(item.id).data.component_subject_ids || [])
+      .map(cid => radicals.get(cid))
+      .filter(r => r && r.guruDate);
+    item.gate = components.sort((x, y) => y.guruDate - x.guruDate)[0] || null;
+    item.unlockDate = item.gate ? item.gate.guruDate : now;
+  }
+  // Lessons for locked kanji queue up behind everything already unlocked
+  for (const item of kanji.filter(k => k.locked).sort((x, y) => x.unlockDate - y.unlockDate)) {
+    item.guruDate = simulateToGuru(lessonAt(item.unlockDate), item.system.data.starting_stage_position, item.system);
+  }
+  const unlocks = kanji.filter(k => k.locked).map(k => ({ type: 'kanji', at: k.unlockDate }));
+
+  const totalKanji       = kanji.length;
+  const kanjiRequired    = Math.ceil(totalKanji * KANJI_PASS_RATIO);
+  const kanjiAtGuru      = kanji.filter(k => !k.guruDate).length;
+  const kanjiStillNeeded = Math.max(0, kanjiRequired - kanjiAtGuru);
+
+  if (kanjiStillNeeded === 0) {
+    return {
+      levelUpDate: nextWindow(now),
+      blockingCount: 0,
+      imminent: true,
+      stageBreakdown: [],
+      criticalPath: [],
+      kanjiAtGuru,
+      kanjiRequired,
+      totalKanji,
+      unlocks,
+    };
+  }
+
+  // Level up when the Nth-fastest remaining kanji hits Guru, N = kanji still needed
+  const pendingKanji = kanji.filter(k => k.guruDate).sort((a, b) => a.guruDate - b.guruDate);
+  const critical     = pendingKanji[kanjiStillNeeded - 1];
+  const levelUpDate  = critical.guruDate;
+
+  const criticalPath = [];
+  for (const k of pendingKanji.filter(k => k.guruDate.getTime() === levelUpDate.getTime())) {
+    if (k.gate && !criticalPath.includes(k.gate)) criticalPath.push(k.gate);
+    criticalPath.push(k);
+  }
+
+  const blocking = [...[...radicals.values()].filter(r => r.guruDate), ...pendingKanji];
+  const unstartedCount = blocking.filter(i => !i.locked && !i.started).length;
+  const lockedCount    = blocking.filter(i => i.locked).length;
+  const { starting_stage_position: first, passing_stage_position: pass } = projectionSrsSystem().data;
+
+  return {
+    levelUpDate,
+    blockingCount: kanjiStillNeeded,
+    imminent: false,
+    criticalItem: { guruDate: levelUpDate, label: critical.label },
+    criticalPath,
+    unstartedCount,
+    lockedCount,
+    kanjiAtGuru,
+    kanjiRequired,
+    totalKanji,
+    kanjiStillNeeded,
+    unlocks,
+    stageBreakdown: [
+      { stage: -2, count: lockedCount,    label: 'Locked' },
+      { stage: -1, count: unstartedCount, label: 'Lessons' },
+      ...Array.from({ length: pass - first }, (_, i) => first + i).map(s => ({
+        stage: s,
+        count: blocking.filter(i => i.started && i.stage === s).length,
+        label: `App ${s}`
+      }))
+    ].filter(s => s.count > 0)
+  };
+}
+
+// ── speedup analysis ───────────────────────────────────────────────────────
+const MISTAKE_TRIALS = 300;
+const DEFAULT_LEVEL_SHAPE = { radicals: 5, kanji: 32 };
+const MAX_MISS_RATE = 0.5;      // beyond this the SRS model says little anyway
+const MIN_RATE_ANSWERS = 20;    // fewer answers on a side count as no misses
+
+// Per-answer failure rates by item type, from review_statistics
+function failureRates(reviewStats) {
+  const sums = {};
+  for (const rs of reviewStats) {
+    const d = rs.data;
+    const t = sums[TYPE_BUCKETS[d.subject_type] || d.subject_type] ??= { mc: 0, mi: 0, rc: 0, ri: 0 };
+    t.mc += d.meaning_correct; t.mi += d.meaning_incorrect;
+    t.rc += d.reading_correct; t.ri += d.reading_incorrect;
+  }
+  const rate = (c, i) => c + i >= MIN_RATE_ANSWERS ? Math.min(MAX_MISS_RATE, i / (c + i)) : 0;
+  const of = t => t ? { meaning: rate(t.mc, t.mi), reading: rate(t.rc, t.ri) } : { meaning: 0, reading: 0 };
+  return { radical: { ...of(sums.radical), reading: 0 }, kanji: of(sums.kanji) };
+}
+
+// Radical and kanji counts for a level, and for each kanji the positions of its
+// component radicals on that level (none: built from earlier radicals, unlocked from the start)
+const levelShape = subjects => {
+  const visible = subjects.filter(s => !s.data.hidden_at);
+  const radicalIds = visible.filter(s => s.object === 'radical').map(s => s.id);
+  const kanji      = visible.filter(s => s.object === 'kanji');
+  if (!kanji.length) return DEFAULT_LEVEL_SHAPE;
+  const components = kanji.map(k => (k.data.component_subject_ids || [])
+    .map(id => radicalIds.indexOf(id)).filter(i => i >= 0));
+  return { radicals: radicalIds.length, kanji: kanji.length, components };
+};
+
+// One level on the review schedule: radicals to Guru, then each kanji once all of its
+// radicals on the level get there, until 90% of the kanji reach Guru. Without the
+// level's subjects, each kanji waits on one radical picked at random.
+function simulateLevelDays(lessonTime, shape, rates, system, rand) {
+  const first = system.data.starting_stage_position;
+  const radicalGuru = Array.from({ length: Math.max(1, shape.radicals) }, () =>
+    simulateToGuru(lessonTime, first, system, rates?.radical, rand));
+  const unlockOf = k => {
+    if (!shape.components) return radicalGuru[Math.floor(rand() * radicalGuru.length)];
+    const gates = shape.components[k].map(i => radicalGuru[i]);
+    return gates.length ? new Date(Math.max(...gates)) : lessonTime;
+  };
+  const kanjiGuru = Array.from({ length: shape.kanji }, (_, k) =>
+    simulateToGuru(unlockOf(k), first, system, rates?.kanji, rand)).sort((a, b) => a - b);
+  const levelUp = kanjiGuru[Math.max(0, Math.ceil(shape.kanji * KANJI_PASS_RATIO) - 1)] || radicalGuru[0];
+  return (levelUp - lessonTime) / 864e5;
+}
+
+function answerTotals(reviewStats) {
+  let correct = 0, incorrect = 0;
+  for (const rs of reviewStats) {
+    correct   += rs.data.meaning_correct + rs.data.reading_correct;
+    incorrect += rs.data.meaning_incorrect + rs.data.reading_incorrect;
+  }
+  const total = correct + incorrect;
+  return { correct, incorrect, total, accuracy: total > 0 ? (correct / total) * 100 : 100 };
+}
+
+function computeSpeedup(reviewStats, shape = DEFAULT_LEVEL_SHAPE, medianDays = 0) {
+  const { incorrect, total, accuracy } = answerTotals(reviewStats);
+
+  const system = projectionSrsSystem();
+  const lesson = nextWindow(new Date());
+  const rates  = failureRates(reviewStats);
+  const rand   = mulberry32(total || 1);
+
+  const perfectDaysPerLevel = simulateLevelDays(lesson, shape, null, system, rand);
+  const trials = Array.from({ length: MISTAKE_TRIALS }, () => simulateLevelDays(lesson, shape, rates, system, rand));
+  const expectedDaysPerLevel = trials.reduce((s, d) => s + d, 0) / trials.length;
+  const extraDaysPerLevel    = Math.max(0, expectedDaysPerLevel - perfectDaysPerLevel);
+
+  // What the review schedule alone would save, at your current accuracy
+  const windowLostPerLevel = Math.max(0, medianDays - expectedDaysPerLevel);
+
+  return {
+    accuracy, total, incorrect, rates, approximate: !shape.components,
+    perfectDaysPerLevel, expectedDaysPerLevel, extraDaysPerLevel, windowLostPerLevel,
+  };
+}
+
+// ── leech analysis ─────────────────────────────────────────────────────────
+const LEECH_LIST_SIZE = 10;
+const LEECH_THRESHOLD = 1;
+const TYPE_BUCKETS = { radical: 'radical', kanji: 'kanji', vocabulary: 'vocabulary', kana_vocabulary: 'vocabulary' };
+
+// Wrong answers weighed against how well the item is holding now: misses / streak^1.5
+// per side (meaning, reading), summed; percentage_correct breaks ties
+function leechScore(d) {
+  const side = (incorrect, streak) => incorrect / Math.pow(Math.max(1, streak), 1.5);
+  return side(d.meaning_incorrect, d.meaning_current_streak)
+       + side(d.reading_incorrect, d.reading_current_streak);
+}
+
+function rankLeeches(reviewStats) {
+  return reviewStats
+    .filter(rs => !rs.data.hidden)
+    .map(rs => ({ rs, score: leechScore(rs.data) }))
+    .filter(l => l.score >= LEECH_THRESHOLD)
+    .sort((a, b) => b.score - a.score || a.rs.data.percentage_correct - b.rs.data.percentage_correct);
+}
+
+function computeLeeches(reviewStats, subjects) {
+  const subjectOf = new Map(subjects.map(s => [s.id, s]));
+  const byType = {};
+  for (const rs of reviewStats) {
+    const d = rs.data;
+    const t = byType[TYPE_BUCKETS[d.subject_type] || d.subject_type] ??=
+      { meaning: { correct: 0, incorrect: 0 }, reading: { correct: 0, incorrect: 0 } };
+    t.meaning.correct   += d.meaning_correct;
+    t.meaning.incorrect += d.meaning_incorrect;
+    t.reading.correct   += d.reading_correct;
+    t.reading.incorrect += d.reading_incorrect;
+  }
+
+  const ranked = rankLeeches(reviewStats);
+  const top = ranked.slice(0, LEECH_LIST_SIZE).map(({ rs, score }) => {
+    const d = rs.data;
+    const subject = subjectOf.get(d.subject_id);
+    const meaning = subject && ((subject.data.meanings || []).find(m => m.primary) || subject.data.meanings?.[0]);
+    const reading = subject && ((subject.data.readings || []).find(r => r.primary) || subject.data.readings?.[0]);
+    return {
+      subjectId: d.subject_id,
+      type: TYPE_BUCKETS[d.subject_type] || d.subject_type,
+      label: subjectLabel(subject, d.subject_id),
+      meaning: meaning ? meaning.meaning : null,
+      reading: reading ? reading.reading : null,
+      score,
+      incorrect: d.meaning_incorrect + d.reading_incorrect,
+      weakSide: d.reading_incorrect > d.meaning_incorrect ? 'reading' : 'meaning',
+      percentage: d.percentage_correct,
+      streak: Math.min(d.meaning_current_streak, d.reading_current_streak),
+    };
+  });
+
+  return { byType, leechCount: ranked.length, top };
+}
+
+// ── workload forecast ──────────────────────────────────────────────────────
+const WORKLOAD_TYPES = ['radical', 'kanji', 'vocabulary'];
+const DEFAULT_LESSONS_PER_DAY = 15;
+
+// Reviews per day and per review window over the next `days`, assuming every answer is
+// right. Lessons come from the current queue, then locked kanji as they unlock, then the
+// next level's radicals and kanji once it arrives.
+function forecastWorkload(assignments, nextLevel, { lessonsPerDay = DEFAULT_LESSONS_PER_DAY, days = 14 } = {}) {
+  const now = new Date();
+  const start = startOfDay(now);
+  const end = addDays(start, days);
+  const system = projectionSrsSystem();
+  const { starting_stage_position: first, burning_stage_position: burn } = system.data;
+
+  const byDay = Array.from({ length: days }, (_, i) => ({
+    date: addDays(start, i), radical: 0, kanji: 0, vocabulary: 0, reviews: 0, lessons: 0,
+  }));
+  const byWindow = new Map();
+  const dayOf = t => byDay[Math.round((startOfDay(t) - start) / 864e5)];
+
+  // Review an item each time it comes up, in the first window after it is available
+  const play = (availableAt, stage, type) => {
+    while (stage < burn) {
+      const at = availableAt <= now ? nextWindow(now) : nextWindow(new Date(availableAt.getTime() - 1));
+      const day = at < end && dayOf(at);
+      if (!day) return;
+      day[type]++;
+      day.reviews++;
+      const w = byWindow.get(at.getTime()) || { at, radical: 0, kanji: 0, vocabulary: 0, reviews: 0 };
+      w[type]++;
+      w.reviews++;
+      byWindow.set(at.getTime(), w);
+      stage++;
+      availableAt = new Date(at.getTime() + stageIntervalMs(system, stage));
+    }
+  };
+
+  const active = assignments.filter(a => !a.data.burned_at && !a.data.hidden);
+  for (const a of active.filter(a => a.data.started_at && a.data.available_at)) {
+    play(new Date(a.data.available_at), a.data.srs_stage, TYPE_BUCKETS[a.data.subject_type] || 'vocabulary');
+  }
+
+  const queue = active.filter(a => !a.data.started_at)
+    .map(a => ({ type: TYPE_BUCKETS[a.data.subject_type] || 'vocabulary', at: now }))
+    .sort((x, y) => WORKLOAD_TYPES.indexOf(x.type) - WORKLOAD_TYPES.indexOf(y.type));
+  const upcoming = [...(nextLevel?.unlocks || [])].sort((x, y) => x.at - y.at);
+  if (nextLevel?.levelUpDate) {
+    for (const [type, n] of [['radical', DEFAULT_LEVEL_SHAPE.radicals], ['kanji', DEFAULT_LEVEL_SHAPE.kanji]]) {
+      for (let i = 0; i < n; i++) upcoming.push({ type, at: nextLevel.levelUpDate });
+    }
+  }
+
+  const lessonAt = lessonScheduler(now, lessonsPerDay);
+  for (const lesson of [...queue, ...upcoming]) {
+    const at = lessonAt(lesson.at);
+    const day = at < end && dayOf(at);
+    if (!day) break;
+    day.lessons++;
+    play(new Date(at.getTime() + stageIntervalMs(system, first)), first, lesson.type);
+  }
+
+  const reviews = byDay.map(d => d.reviews);
+  return {
+    days: byDay,
+    windows: [...byWindow.values()].sort((a, b) => a.at - b.at),
+    avgReviews: reviews.reduce((a, b) => a + b, 0) / days,
+    peak: byDay.reduce((a, b) => b.reviews > a.reviews ? b : a),
+    lessons: byDay.reduce((n, d) => n + d.lessons, 0),
+    queued: queue.length,
+  };
+}
+
+// ── study habits ───────────────────────────────────────────────────────────
+// When lessons get done and how long reviews wait, per level, against how long the
+// level took. An item counts toward the level you were on when you started its lesson.
+// The API has no per-review times, so review delay is an item's time to Guru beyond
+// the SRS minimum, spread over the reviews it took (misses count as delay too).
+const HABIT_MIN_ITEMS = 10;       // lessons a level needs before its habits count
+const HABIT_MIN_LEVELS = 4;       // levels with habits before any comparison is made
+const HABIT_MIN_DIFF_DAYS = 0.5;  // smaller differences aren't worth advice
+const HABIT_MIN_R = 0.2;          // nor are habits that barely track level time
+
+const fmtHours = h => h < 1 ? `${Math.round(h * 60)}m` : h < 48 ? `${Math.round(h)}h` : fmtDays(h / 24);
+
+function correlation(xs, ys) {
+  const mx = meanOf(xs), my = meanOf(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+// Median level time where `test` holds vs where it doesn't, with at least 2 levels each
+function splitFaster(levels, test) {
+  const yes = levels.filter(test).map(l => l.days), no = levels.filter(l => !test(l)).map(l => l.days);
+  if (yes.length < 2 || no.length < 2) return null;
+  return { faster: medianOf(no) - medianOf(yes), yes: yes.length, no: no.length };
+}
+
+function studyHabits(stats, assignments) {
+  const system = projectionSrsSystem();
+  const minGuruMs = timeToPassMs(system);
+  const reviewsToGuru = system.data.passing_stage_position - system.data.starting_stage_position;
+  const heatmap = DAY_NAMES.map(() => Array(24).fill(0));
+  const started = assignments.filter(a => a.data.started_at);
+
+  const waits = [], slacks = [];
+  for (const a of started) {
+    const t = new Date(a.data.started_at);
+    heatmap[t.getDay()][t.getHours()]++;
+    if (a.data.unlocked_at) waits.push(Math.max(0, t - new Date(a.data.unlocked_at)) / 3600000);
+    if (a.data.passed_at) slacks.push(Math.max(0, new Date(a.data.passed_at) - t - minGuruMs) / reviewsToGuru / 3600000);
+  }
+
+  const levels = stats.done.map((p, i) => {
+    const from = new Date(p.data.started_at), to = new Date(p.data.passed_at);
+    const items = started.filter(a => { const t = new Date(a.data.started_at); return t >= from && t < to; });
+    if (items.length < HABIT_MIN_ITEMS) return null;
+    const hours = items.map(a => new Date(a.data.started_at).getHours());
+    const passed = items.filter(a => a.data.passed_at);
+    return {
+      level: p.data.level,
+      days: stats.durs[i],
+      lessons: items.length,
+      morning: hours.filter(h => h < 12).length / hours.length,
+      hour: medianOf(hours),
+      slack: passed.length ? medianOf(passed.map(a =>
+        Math.max(0, new Date(a.data.passed_at) - new Date(a.data.started_at) - minGuruMs) / reviewsToGuru / 3600000)) : null,
+      lag: stats.phases[i].lag,
+    };
+  }).filter(Boolean);
+
+  const enough = levels.length >= HABIT_MIN_LEVELS;
+  const withSlack = levels.filter(l => l.slack != null);
+  const slackCut = withSlack.length ? medianOf(withSlack.map(l => l.slack)) : 0;
+  const days = levels.map(l => l.days);
+  const comparisons = !enough ? [] : [
+    { key: 'morning', r: correlation(levels.map(l => l.morning), days),
+      split: splitFaster(levels, l => l.morning >= 0.5),
+      yes: 'started most lessons before noon', no: 'did most lessons after noon' },
+    { key: 'slack', r: withSlack.length >= HABIT_MIN_LEVELS ? correlation(withSlack.map(l => l.slack), withSlack.map(l => l.days)) : null,
+      split: withSlack.length >= HABIT_MIN_LEVELS ? splitFaster(withSlack, l => l.slack <= slackCut) : null,
+      yes: `reviewed within ${fmtHours(slackCut)} of items coming up`, no: `let reviews wait longer than ${fmtHours(slackCut)}` },
+    { key: 'lag', r: correlation(levels.map(l => l.lag), days),
+      split: splitFaster(levels, l => l.lag <= 1),
+      yes: 'started lessons within a day of the level unlocking', no: 'left lessons waiting over a day' },
+  ];
+
+  // Plain-language findings, biggest difference first
+  const advice = comparisons
+    .filter(c => c.split && Math.abs(c.split.faster) >= HABIT_MIN_DIFF_DAYS && Math.abs(c.r) >= HABIT_MIN_R)
+    .sort((a, b) => Math.abs(b.split.faster) - Math.abs(a.split.faster))
+    .map(c => ({
+      key: c.key,
+      text: `Your levels where you ${c.split.faster > 0 ? c.yes : c.no} were ${fmtDays(Math.abs(c.split.faster))} faster`,
+    }));
+
+  return {
+    heatmap, lessons: started.length,
+    lessonWait: waits.length ? medianOf(waits) : null,
+    reviewSlack: slacks.length ? medianOf(slacks) : null,
+    levels, comparisons, advice,
+  };
+}
+
+// ── WaniKani API client ────────────────────────────────────────────────────
+const API_BASE = 'https://api.wanikani.com/v2';
+const MAX_RETRIES = 4;
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new DOMException('Load cancelled', 'AbortError'));
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const isAbort = e => e?.name === 'AbortError';
+
+// One request with the shared headers: waits out 429s until RateLimit-Reset,
+// retries 5xx and network failures with exponential backoff
+async function apiFetch(api, url, extraHeaders = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { headers: { ...api.headers, ...extraHeaders }, signal: api.signal });
+    } catch (e) {
+      if (isAbort(e) || attempt >= MAX_RETRIES) throw isAbort(e) ? e : new Error('Network error — is WaniKani reachable?');
+      await sleep(1000 * 2 ** attempt, api.signal);
+      continue;
+    }
+
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      const reset = Number(res.headers.get('RateLimit-Reset')); // epoch seconds
+      const wait  = reset ? Math.max(1000, reset * 1000 - Date.now() + 500) : 60000;
+      api.progress(`Rate limited by WaniKani — resuming in ${Math.ceil(wait / 1000)}s...`);
+      await sleep(wait, api.signal);
+      continue;
+    }
+    if (res.status >= 500 && attempt < MAX_RETRIES) {
+      await sleep(1000 * 2 ** attempt + Math.random() * 250, api.signal);
+      continue;
+    }
+    return res;
+  }
+}
+
+function apiError(label, res) {
+  if (res.status === 401) return new Error('Invalid API key — check wanikani.com/settings/personal_access_tokens');
+  return Object.assign(new Error(`${label}: API error ${res.status}`), { status: res.status });
+}
+
+// Every page of a collection — or, given a cached copy of the same query,
+// only what changed since then, merged into it by resource id
+async function fetchCollection(api, label, baseUrl, cached) {
+  const usable = cached && cached.baseUrl === baseUrl ? cached : null;
+  const url = usable?.updatedAt
+    ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}updated_after=${encodeURIComponent(usable.updatedAt)}`
+    : baseUrl;
+
+  const conditional = {};
+  if (usable?.url === url && usable.etag) conditional['If-None-Match'] = usable.etag;
+  if (usable?.lastModified) conditional['If-Modified-Since'] = usable.lastModified;
+
+  api.progress(`Fetching ${label}...`);
+  const res = await apiFetch(api, url, conditional);
+  if (res.status === 304) return usable;
+  if (!res.ok) throw apiError(label, res);
+
+  const items = { ...(usable?.items || {}) };
+  let j = await res.json();
+  const updatedAt = j.data_updated_at || usable?.updatedAt || null;
+  const pages = Math.max(1, Math.ceil((j.total_count || 0) / (j.pages?.per_page || 1)));
+  for (let page = 1; ; page++) {
+    for (const r of j.data || []) items[r.id] = r;
+    const next = j.pages?.next_url;
+    if (!next) break;
+    api.progress(`Fetching ${label} · page ${page + 1}/${pages}...`);
+    const r = await apiFetch(api, next);
+    if (!r.ok) throw apiError(`${label} page ${page + 1}/${pages}`, r);
+    j = await r.json();
+  }
+
+  return {
+    baseUrl, url, items, updatedAt,
+    etag: res.headers.get('ETag'),
+    lastModified: res.headers.get('Last-Modified'),
+  };
+}
+
+const collectionItems = entry => Object.values(entry?.items || {});
+
+// ── WaniKani API fetch ─────────────────────────────────────────────────────
+async function fetchWK(token, cache = null, signal = null, progress = () => {}) {
+  const api = {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Wanikani-Revision': '20170710'
+    },
+    signal,
+    progress,
+  };
+
+  progress('Fetching user data...');
+  const uRes = await apiFetch(api, `${API_BASE}/user`, cache?.user?.etag ? { 'If-None-Match': cache.user.etag } : {});
+  if (uRes.status !== 304 && !uRes.ok) throw apiError('User', uRes);
+  const userEntry = uRes.status === 304 ? cache.user
+    : { resource: await uRes.json(), etag: uRes.headers.get('ETag') };
+  const user = userEntry.resource;
+
+  // Resources from another account never mix into this one
+  const cached = cache && cache.userId === user.data.id ? cache.collections : {};
+  const collections = {};
+  const warnings = [];
+
+  collections.progressions = await fetchCollection(api, 'level progressions',
+    `${API_BASE}/level_progressions`, cached.progressions);
+
+  const currentLevel = user.data.current_level ?? user.data.level;
+  const levelNums = Array.from({ length: currentLevel }, (_, i) => i + 1).join(',');
+
+  // Optional sections: a failure is reported, and the last cached copy kept if there is one
+  const soft = (key, label, baseUrl) => fetchCollection(api, label, baseUrl, cached[key]).catch(e => {
+    if (isAbort(e)) throw e;
+    const fallback = cached[key]?.baseUrl === baseUrl ? cached[key] : null;
+    warnings.push({ section: label, message: e.status ? `API error ${e.status}` : e.message, stale: !!fallback });
+    return fallback;
+  });
+
+  collections.reviewStats = await soft('reviewStats', 'review statistics', `${API_BASE}/review_statistics?levels=${levelNums}`);
+  // Only the worst offenders need their characters and meanings
+  const leechIds = rankLeeches(collectionItems(collections.reviewStats))
+    .slice(0, LEECH_LIST_SIZE).map(l => l.rs.data.subject_id).sort((a, b) => a - b);
+  collections.leechSubjects = leechIds.length
+    ? await soft('leechSubjects', 'leech subjects', `${API_BASE}/subjects?ids=${leechIds.join(',')}`)
+    : null;
+  // Every assignment, for phases, habits and the workload forecast — burned ones are
+  // filtered out locally so incremental syncs still see items that burn
+  collections.allAssignments = await soft('allAssignments', 'all assignments', `${API_BASE}/assignments`);
+  collections.srsSystems  = await soft('srsSystems', 'SRS systems', `${API_BASE}/spaced_repetition_systems`);
+  collections.subjects    = await soft('subjects', 'subjects', `${API_BASE}/subjects?levels=${currentLevel}`);
+  // The current level's assignments come out of the full list by subject; fetched on
+  // their own only when either of those is missing
+  collections.assignments = collections.allAssignments && collections.subjects ? null
+    : await soft('assignments', 'assignments', `${API_BASE}/assignments?levels=${currentLevel}`);
+  collections.resets      = await soft('resets', 'resets', `${API_BASE}/resets`);
+
+  return {
+    data: dataFromCollections(user, collections),
+    cache: { userId: user.data.id, user: userEntry, collections },
+    warnings,
+  };
+}
+
+// The current level's assignments, picked out of the full list by its subjects
+function levelAssignments(collections) {
+  const ids = new Set(collectionItems(collections.subjects).map(s => s.id));
+  return collectionItems(collections.allAssignments).filter(a => ids.has(a.data.subject_id));
+}
+
+function dataFromCollections(user, collections) {
+  return {
+    user,
+    progressions: collectionItems(collections.progressions),
+    reviewStats:  collectionItems(collections.reviewStats),
+    assignments:  collections.assignments ? collectionItems(collections.assignments) : levelAssignments(collections),
+    allAssignments: collectionItems(collections.allAssignments),
+    subjects:     collectionItems(collections.subjects),
+    srsSystems:   collectionItems(collections.srsSystems),
+    leechSubjects: collectionItems(collections.leechSubjects),
+    // Missing entirely (older cache, failed fetch) → fall back to guessing resets
+    resets:       collections.resets ? collectionItems(collections.resets) : undefined,
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    configureEngine, computeStats, computeNextLevel, computeSpeedup, simulateToGuru,
+    splitRuns, levelShape, answerTotals, studyHabits, breakRanges, skipBreaks, paceDays, levelsLeft, targetLevel,
+    maxLevelGranted, pastLevelCap, stageIntervalMs, timeToPassMs,
+    fetchWK, dataFromCollections, PACE_MODELS, DAY_NAMES, MAX_LEVEL,
+    fmtDate, fmtDateTime, fmtDays,
+  };
+}
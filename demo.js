@@ -0,0 +1,387 @@
+// ── demo profiles ──────────────────────────────────────────────────────────
+// Bundled sample accounts for the offline demo. Each profile is built into the
+// same shape fetchWK returns, with dates anchored to "now" so it never goes stale.
+//
+// durations   completed levels of the current run, in days
+// elapsed     days spent on the current level so far
+// radicals    SRS stage of each current-level radical (0 = lesson waiting)
+// kanji       same for kanji; -1 = still locked behind its radicals
+// previousRun levels completed before a reset, and the level it reset to
+// renewsIn    days until a recurring subscription's period ends (lifetime if absent)
+const DEMO_PROFILES = {
+  fast: {
+    name: 'Fast runner',
+    blurb: 'Level 39 · ~7 days a level, every level',
+    username: 'hayate',
+    accuracy: 0.94,
+    durations: [
+      3.6, 3.9, 7.1, 6.9, 7.0, 7.2, 6.8, 7.4, 7.0, 7.1,
+      6.9, 7.3, 7.0, 7.6, 6.9, 7.0, 7.2, 7.1, 8.4, 7.0,
+      6.9, 7.1, 7.3, 7.0, 7.2, 6.8, 7.0, 7.5, 7.1, 6.9,
+      7.0, 7.2, 9.1, 7.0, 6.9, 7.1, 7.0, 7.3,
+    ],
+    elapsed: 3.4,
+    radicals: [5, 5, 5, 6, 5],
+    kanji: [5, 5, 5, 5, 5, 5, 4, 4, 4, 4, 4, 3, 3, 3, 3, 3, 2, 2, 2, 1, 1, 1, 4, 4, 4, 4, 3, 3, 3, 2, 2, 2],
+  },
+
+  slow: {
+    name: 'Slow & inconsistent',
+    blurb: 'Level 17 · bursts, breaks and a 2-month gap',
+    username: 'kamenoko',
+    accuracy: 0.76,
+    renewsIn: 240,
+    durations: [
+      5.2, 9.8, 14.1, 11.0, 26.4, 9.7, 18.3, 12.0, 61.5, 10.4,
+      13.9, 22.7, 8.9, 31.2, 15.5, 19.0,
+    ],
+    elapsed: 12.8,
+    radicals: [5, 5, 5, 3],
+    kanji: [5, 5, 5, 5, 5, 4, 3, 3, 2, 2, 1, 1, 1, 0, 0, 0, 0, 0, 0, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1],
+  },
+
+  reset: {
+    name: 'Reset account',
+    blurb: 'Level 12 · reset to 1 after reaching level 24',
+    username: 'yarinaoshi',
+    accuracy: 0.88,
+    previousRun: {
+      durations: [
+        4.1, 4.4, 12.2, 15.8, 11.4, 19.6, 14.3, 22.0, 17.5, 13.1,
+        25.9, 16.7, 18.2, 21.4, 14.9, 27.3, 19.8, 16.1, 23.5, 20.2,
+        18.7, 29.4, 24.0,
+      ],
+      resetTo: 1,
+      gapDays: 45,
+    },
+    durations: [3.8, 4.0, 8.1, 8.6, 7.9, 9.2, 8.4, 8.8, 9.5, 8.3, 8.7],
+    elapsed: 5.1,
+    radicals: [5, 5, 5, 5, 5, 5],
+    kanji: [5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 4, 4, 4, 4, 4, 3, 3, 3, 3, 2, 2, 2, 1, 1, 1, 0, 0, 0, 0, 0, 0],
+  },
+
+  nearlyThere: {
+    name: 'Level 59',
+    blurb: 'Level 59 · one level from the finish line',
+    username: 'gojukyu',
+    accuracy: 0.91,
+    durations: [
+      4.0, 3.8, 8.2, 7.9, 8.8, 9.4, 8.1, 10.2, 9.0, 8.7,
+      11.3, 9.6, 8.9, 10.4, 12.8, 9.2, 9.9, 10.7, 11.5, 9.8,
+      10.1, 13.6, 10.9, 11.2, 9.7, 10.3, 12.4, 10.8, 11.9, 10.6,
+      14.2, 11.1, 10.5, 12.0, 11.7, 10.2, 11.4, 13.1, 10.9, 12.6,
+      11.8, 10.4, 12.2, 11.0, 13.8, 11.6, 12.9, 10.8, 11.3, 12.5,
+      14.9, 11.2, 12.1, 13.4, 11.9, 12.7, 11.5, 13.2,
+    ],
+    elapsed: 6.2,
+    radicals: [5, 5],
+    kanji: [5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 4, 4, 4, 4, 4, 4, 3, 3, 3, 3],
+  },
+};
+
+const DEMO_RADICALS = '一丨丶ノ乙亅二亠人儿入八冂冖冫几凵刀力勹匕匚十卜';
+const DEMO_KANJI    = '日月火水木金土山川田人口目耳手足力犬石竹糸貝車門雨花草森林空海雪風星光道語話読書';
+const DEMO_KANJI_MEANINGS = [
+  'sun', 'moon', 'fire', 'water', 'tree', 'gold', 'soil', 'mountain', 'river', 'rice paddy',
+  'person', 'mouth', 'eye', 'ear', 'hand', 'foot', 'power', 'dog', 'stone', 'bamboo',
+  'thread', 'shellfish', 'car', 'gate', 'rain', 'flower', 'grass', 'forest', 'woods', 'sky',
+  'sea', 'snow', 'wind', 'star', 'light', 'road', 'language', 'talk', 'read', 'write',
+];
+
+const DEMO_SRS_SYSTEMS = [
+  { id: 1, name: 'Default Spaced Repetition System', hours: [null, 4, 8, 23, 47, 167, 335, 719, 2879, null] },
+  { id: 2, name: 'Accelerated Spaced Repetition System', hours: [null, 2, 4, 8, 23, 167, 335, 719, 2879, null] },
+].map(({ id, name, hours }) => ({
+  id,
+  object: 'spaced_repetition_system',
+  data: {
+    name,
+    unlocking_stage_position: 0,
+    starting_stage_position: 1,
+    passing_stage_position: 5,
+    burning_stage_position: 9,
+    stages: hours.map((h, position) => ({ position, interval: h && h * 3600, interval_unit: h && 'seconds' })),
+  },
+}));
+
+function buildDemoProgressions(profile, now) {
+  const iso = t => new Date(t).toISOString();
+  const currentLevel = profile.durations.length + (profile.previousRun ? profile.previousRun.resetTo : 1);
+  const progressions = [];
+  const resets = [];
+
+  // Days between a level unlocking and its first lesson — usually short, now and then not
+  const lagOf = level => [0.1, 0.3, 0.05, 1.5, 0.2, 0.6, 0.1][level % 7];
+
+  // Walk back from the current level so the newest level is always in progress;
+  // each level unlocks the moment the one before it passes
+  let t = now - profile.elapsed * 864e5;
+  progressions.push({ level: currentLevel, started: t, unlocked: t - lagOf(currentLevel) * 864e5, passed: null });
+  for (let i = profile.durations.length - 1; i >= 0; i--) {
+    const level = currentLevel - profile.durations.length + i;
+    const passed = progressions[0].unlocked;
+    t = passed - profile.durations[i] * 864e5;
+    progressions.unshift({ level, started: t, unlocked: t - lagOf(level) * 864e5, passed });
+  }
+  t = progressions[0].unlocked;
+
+  if (profile.previousRun) {
+    const { durations, resetTo, gapDays } = profile.previousRun;
+    const resetAt = t - gapDays * 864e5;
+    let p = resetAt - 10 * 864e5;
+    const old = [{ level: durations.length + 1, started: p, unlocked: p - lagOf(durations.length + 1) * 864e5, passed: null, abandoned: resetAt }];
+    for (let i = durations.length - 1; i >= 0; i--) {
+      const passed = old[0].unlocked;
+      p = passed - durations[i] * 864e5;
+      old.unshift({ level: i + 1, started: p, unlocked: p - lagOf(i + 1) * 864e5, passed, abandoned: i + 1 >= resetTo ? resetAt : null });
+    }
+    progressions.unshift(...old);
+    resets.push({
+      id: 1,
+      object: 'reset',
+      data: {
+        created_at: iso(resetAt - 600000),
+        original_level: durations.length + 1,
+        target_level: resetTo,
+        confirmed_at: iso(resetAt),
+      },
+    });
+  }
+
+  return {
+    currentLevel,
+    resets,
+    progressions: progressions.map((p, i) => ({
+      id: i + 1,
+      object: 'level_progression',
+      data: {
+        level: p.level,
+        created_at: iso(p.unlocked),
+        unlocked_at: iso(p.unlocked),
+        started_at: iso(p.started),
+        passed_at: p.passed ? iso(p.passed) : null,
+        completed_at: null,
+        abandoned_at: p.abandoned ? iso(p.abandoned) : null,
+      },
+    })),
+  };
+}
+
+function buildDemoLevel(profile, level, now, rand) {
+  const iso = t => new Date(t).toISOString();
+  const srsId = level <= 2 ? 2 : 1;
+  const subjects = [], assignments = [];
+  const hour = 3600000;
+
+  const assign = (subject, stage) => {
+    if (stage < 0) return;
+    const started = stage > 0;
+    assignments.push({
+      id: subject.id + 500000,
+      object: 'assignment',
+      data: {
+        subject_id: subject.id,
+        subject_type: subject.object,
+        srs_stage: stage,
+        unlocked_at: iso(now - profile.elapsed * 864e5),
+        started_at: started ? iso(now - profile.elapsed * 864e5 + rand() * 12 * hour) : null,
+        passed_at: stage >= 5 ? iso(now - rand() * profile.elapsed * 864e5) : null,
+        burned_at: null,
+        available_at: started && stage < 9 ? iso(now + (1 + rand() * 20) * hour) : null,
+      },
+    });
+  };
+
+  profile.radicals.forEach((stage, i) => {
+    const subject = {
+      id: level * 1000 + i,
+      object: 'radical',
+      data: {
+        level,
+        characters: DEMO_RADICALS[i % DEMO_RADICALS.length],
+        meanings: [{ meaning: `radical ${i + 1}`, primary: true }],
+        spaced_repetition_system_id: srsId,
+        hidden_at: null,
+      },
+    };
+    subjects.push(subject);
+    assign(subject, stage);
+  });
+
+  const radicalIds = subjects.map(s => s.id);
+  const unpassed   = subjects.filter((_, i) => profile.radicals[i] < 5).map(s => s.id);
+
+  profile.kanji.forEach((stage, i) => {
+    // Locked kanji hang off a radical that hasn't reached Guru yet; every third
+    // unlocked one is built from an earlier level's radical and was there from the start
+    const component = stage < 0 && unpassed.length
+      ? unpassed[i % unpassed.length]
+      : level > 1 && i % 3 === 0
+      ? (level - 1) * 1000 + i % profile.radicals.length
+      : radicalIds[i % radicalIds.length];
+    const subject = {
+      id: level * 1000 + 100 + i,
+      object: 'kanji',
+      data: {
+        level,
+        characters: DEMO_KANJI[i % DEMO_KANJI.length],
+        meanings: [{ meaning: DEMO_KANJI_MEANINGS[i % DEMO_KANJI.length], primary: true }],
+        component_subject_ids: [component],
+        spaced_repetition_system_id: srsId,
+        hidden_at: null,
+      },
+    };
+    subjects.push(subject);
+    assign(subject, stage);
+  });
+
+  return { subjects, assignments };
+}
+
+// Review statistics for every level, plus the subjects they point at
+function buildDemoReviewStats(profile, currentLevel, rand) {
+  const stats = [], subjects = [];
+  const types = ['radical', 'kanji', 'kanji', 'vocabulary', 'vocabulary', 'vocabulary'];
+  for (let level = 1; level <= currentLevel; level++) {
+    types.forEach((type, i) => {
+      const answers = 6 + Math.floor(rand() * 10);
+      const miss = () => Math.round(answers * (1 - profile.accuracy) * (0.2 + rand() * 1.6));
+      const meaningIncorrect = miss();
+      const readingIncorrect = type === 'radical' ? 0 : miss();
+      const meaningCorrect = answers;
+      const readingCorrect = type === 'radical' ? 0 : answers;
+      const correct = meaningCorrect + readingCorrect;
+      const k = (level * 7 + i) % DEMO_KANJI.length;
+      subjects.push({
+        id: level * 1000 + 200 + i,
+        object: type,
+        data: {
+          level,
+          characters: type === 'radical' ? DEMO_RADICALS[k % DEMO_RADICALS.length] : DEMO_KANJI[k],
+          meanings: [{ meaning: type === 'radical' ? `radical ${k + 1}` : DEMO_KANJI_MEANINGS[k], primary: true }],
+          hidden_at: null,
+        },
+      });
+      stats.push({
+        id: level * 100 + i,
+        object: 'review_statistic',
+        data: {
+          subject_id: level * 1000 + 200 + i,
+          subject_type: type,
+          meaning_correct: meaningCorrect,
+          meaning_incorrect: meaningIncorrect,
+          meaning_max_streak: 2 + Math.floor(rand() * answers),
+          meaning_current_streak: 1 + Math.floor(rand() * 6),
+          reading_correct: readingCorrect,
+          reading_incorrect: readingIncorrect,
+          reading_max_streak: type === 'radical' ? 1 : 2 + Math.floor(rand() * answers),
+          reading_current_streak: type === 'radical' ? 1 : 1 + Math.floor(rand() * 6),
+          percentage_correct: Math.round((correct / (correct + meaningIncorrect + readingIncorrect)) * 100),
+          hidden: false,
+        },
+      });
+    });
+  }
+  return { stats, subjects };
+}
+
+// Assignments from earlier levels, staged by how long ago each level was, plus the
+// current level's vocabulary waiting in the lesson queue. Radicals unlock with their
+// level and reach Guru partway through it. Lesson times and review delay are planted:
+// each profile draws how strongly they follow level speed, from -1 (fast levels get
+// evening lessons and slow reviews) through 0 (no link) to 1 (morning and prompt).
+function buildDemoWorkload(currentLevel, progressions, now, rand) {
+  const iso = t => new Date(t).toISOString();
+  const hour = 3600000;
+  const stageFor = ago =>
+    ago <= 1 ? 1 + Math.floor(rand() * 5)
+    : ago <= 2 ? 3 + Math.floor(rand() * 4)
+    : ago <= 5 ? 5 + Math.floor(rand() * 3)
+    : ago <= 12 ? 6 + Math.floor(rand() * 3)
+    : rand() < 0.4 ? 8 : 9;
+  const latest = new Map(progressions.map(p => [p.data.level, p.data]));
+  const assignments = [];
+  const durations = [...latest.values()].filter(p => p.passed_at)
+    .map(p => (new Date(p.passed_at) - new Date(p.started_at)) / 864e5).sort((a, b) => a - b);
+  const medianDays = durations[Math.floor(durations.length / 2)];
+  const minGuru = timeToPassMs(DEFAULT_SRS_SYSTEM);
+  const effect = rand() * 2 - 1;
+
+  for (let level = Math.max(1, currentLevel - 25); level <= currentLevel; level++) {
+    const ago = currentLevel - level;
+    const prog = latest.get(level);
+    const started = new Date(prog.started_at).getTime();
+    const levelDays = prog.passed_at ? (new Date(prog.passed_at) - started) / 864e5 : null;
+    // Chance of a morning lesson or a prompt review on this level, by how quick it was
+    const speed = levelDays != null ? Math.max(-1, Math.min(1, (medianDays - levelDays) / medianDays)) : 0;
+    const lean = 0.5 + (effect * speed) / 2;
+    const counts = ago === 0 ? { vocabulary: 20 } : { radical: 5, kanji: 30, vocabulary: 80 };
+    for (const [type, n] of Object.entries(counts)) {
+      for (let i = 0; i < n; i++) {
+        const stage = ago === 0 ? 0 : type === 'radical' ? Math.max(5, stageFor(ago)) : stageFor(ago);
+        const interval = stageIntervalMs(DEFAULT_SRS_SYSTEM, stage);
+        const guruAt = type === 'radical' && levelDays ? started + levelDays * (0.3 + rand() * 0.15) * 864e5 : null;
+        let lessonAt = started + rand() * 2 * hour;
+        if (type !== 'radical' && levelDays) {
+          const day = new Date(started + rand() * levelDays * 0.3 * 864e5);
+          day.setHours(rand() < lean ? 7 + rand() * 4 : 17 + rand() * 5, rand() * 60);
+          if (day < started + hour) day.setDate(day.getDate() + 1);
+          lessonAt = day.getTime();
+        }
+        const slack = (rand() < lean ? rand() * 3 : 4 + rand() * 12) * hour * 4;
+        const passedAt = guruAt || (type !== 'radical' && stage >= 5 ? Math.min(lessonAt + minGuru + slack, now - hour) : null);
+        assignments.push({
+          id: 900000 + assignments.length,
+          object: 'assignment',
+          data: {
+            subject_id: 800000 + assignments.length,
+            subject_type: type,
+            srs_stage: stage,
+            unlocked_at: type === 'radical' ? prog.unlocked_at : iso(started),
+            started_at: stage ? iso(lessonAt) : null,
+            passed_at: passedAt ? iso(passedAt) : null,
+            burned_at: stage >= 9 ? iso(now - rand() * 30 * 864e5) : null,
+            available_at: stage && stage < 9 ? iso(now + rand() * interval - hour) : null,
+            hidden: false,
+          },
+        });
+      }
+    }
+  }
+  return assignments;
+}
+
+function buildDemoData(key) {
+  const profile = DEMO_PROFILES[key];
+  const now = Date.now();
+  const rand = mulberry32(key.length * 7919);
+  const { currentLevel, progressions, resets } = buildDemoProgressions(profile, now);
+  const { subjects, assignments } = buildDemoLevel(profile, currentLevel, now, rand);
+  const startedAt = progressions[0].data.started_at;
+  const reviews = buildDemoReviewStats(profile, currentLevel, rand);
+
+  return {
+    user: {
+      object: 'user',
+      data: {
+        id: `demo-${key}`,
+        username: profile.username,
+        level: currentLevel,
+        started_at: startedAt,
+        current_vacation_started_at: null,
+        subscription: profile.renewsIn
+          ? { active: true, type: 'recurring', max_level_granted: 60, period_ends_at: new Date(now + profile.renewsIn * 864e5).toISOString() }
+          : { active: true, type: 'lifetime', max_level_granted: 60, period_ends_at: null },
+      },
+    },
+    progressions,
+    reviewStats: reviews.stats,
+    leechSubjects: reviews.subjects,
+    assignments,
+    allAssignments: [...assignments, ...buildDemoWorkload(currentLevel, progressions, now, rand)],
+    subjects,
+    srsSystems: DEMO_SRS_SYSTEMS,
+    resets,
+    demoName: profile.name,
+  };
+}
@@ -0,0 +1,11 @@
+// ── live mode service worker ───────────────────────────────────────────────
+// Shows the page's live-mode notifications while its tab is in the background
+// and brings the predictor back into focus when one is clicked.
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', e => e.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', e => {
+  e.notification.close();
+  e.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients =>
+    clients.length ? clients[0].focus() : self.clients.openWindow('./')));
+});
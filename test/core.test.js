@@ -0,0 +1,51 @@
+// Engine pieces the CLI output doesn't pin down on its own
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const ladder = (unit, intervals) => ({
+  id: 1,
+  data: {
+    starting_stage_position: 1,
+    passing_stage_position: intervals.length + 1,
+    stages: [null, ...intervals].map((interval, position) => ({ position, interval, interval_unit: interval && unit })),
+  },
+});
+
+test('stage intervals honor interval_unit', () => {
+  const hour = 3600000;
+  assert.equal(core.stageIntervalMs(ladder('seconds', [4 * 3600]), 1), 4 * hour);
+  assert.equal(core.stageIntervalMs(ladder('minutes', [240]), 1), 4 * hour);
+  assert.equal(core.stageIntervalMs(ladder('hours', [4]), 1), 4 * hour);
+  assert.equal(core.stageIntervalMs(ladder('days', [2]), 1), 48 * hour);
+  assert.equal(core.stageIntervalMs(ladder('weeks', [1]), 1), 168 * hour);
+  assert.equal(core.stageIntervalMs(ladder('milliseconds', [hour]), 1), hour);
+  assert.equal(core.stageIntervalMs(ladder(undefined, [4 * 3600]), 1), 4 * hour);
+  assert.equal(core.timeToPassMs(ladder('hours', [4, 8, 23, 47])), 82 * hour);
+});
+
+const reviewStats = (accuracy, answers) => ['radical', 'kanji', 'vocabulary'].map(type => {
+  const reading = type !== 'radical';
+  const correct = Math.round(answers * accuracy), incorrect = answers - correct;
+  return { data: {
+    subject_type: type,
+    meaning_correct: correct, meaning_incorrect: incorrect,
+    reading_correct: reading ? correct : 0, reading_incorrect: reading ? incorrect : 0,
+  } };
+});
+
+test('mistake simulation stays bounded at very low accuracy', () => {
+  const shape = { radicals: 8, kanji: 40 };
+  const started = Date.now();
+  const low = core.computeSpeedup(reviewStats(0.05, 1000), shape, 7);
+  assert.ok(Date.now() - started < 5000, `took ${Date.now() - started}ms`);
+  assert.ok(Number.isFinite(low.expectedDaysPerLevel));
+  assert.equal(low.rates.kanji.meaning, 0.5);
+  const good = core.computeSpeedup(reviewStats(0.9, 1000), shape, 7);
+  assert.ok(low.expectedDaysPerLevel > good.expectedDaysPerLevel);
+});
+
+test('a handful of answers is too few to set a miss rate', () => {
+  const { rates } = core.computeSpeedup(reviewStats(0.5, 2), { radicals: 1, kanji: 2 }, 7);
+  assert.deepEqual(rates.kanji, { meaning: 0, reading: 0 });
+});
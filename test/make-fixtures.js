@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// Writes the demo profiles as wk-predict dumps into test/fixtures. demo.js builds on
+// core.js, so both load into one context the way the page loads them, with the clock
+// pinned so the dumps come out the same every time. The CLI never reads the full
+// assignment list or the leech subjects, so they are left out to keep the files small.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const NOW = Date.UTC(2026, 0, 15, 12);
+const root = path.join(__dirname, '..');
+
+const context = vm.createContext({});
+vm.runInContext(`Date.now = () => ${NOW};`, context);
+for (const file of ['core.js', 'demo.js']) {
+  vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+}
+
+for (const key of vm.runInContext('Object.keys(DEMO_PROFILES)', context)) {
+  const { allAssignments, leechSubjects, demoName, ...data } = vm.runInContext(`buildDemoData(${JSON.stringify(key)})`, context);
+  const out = path.join(__dirname, 'fixtures', `${key}.json`);
+  fs.writeFileSync(out, `${JSON.stringify(data)}\n`);
+  console.log(`wrote ${path.relative(root, out)}`);
+}
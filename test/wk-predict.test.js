@@ -0,0 +1,75 @@
+// wk-predict against the demo profiles saved as dumps (test/make-fixtures.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseArgs, loadData, predict, toJson, toTable } = require('../wk-predict.js');
+
+const fixture = name => loadData({ file: path.join(__dirname, 'fixtures', `${name}.json`) });
+const report = async (name, argv = []) => toJson(predict(await fixture(name), parseArgs(argv)));
+
+test('fast runner: pace models from the current run', async () => {
+  const r = await report('fast');
+  assert.equal(r.level, 39);
+  assert.equal(r.targetLevel, 60);
+  assert.equal(r.levelsLeft, 21);
+  assert.equal(r.pace, 'median');
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(r.scenarios).map(([k, s]) => [k, s.daysPerLevel])),
+    { fast: 6.9, median: 7, avg: 6.99, recent: 7.06, slow: 7.2, ewma: 7.22, trend: 7.95, robust: 6.99 },
+  );
+  assert.deepEqual(r.warnings, []);
+});
+
+test('headline date is levels left × pace from now', async () => {
+  const r = await report('slow', ['--pace', 'avg']);
+  assert.equal(r.pace, 'avg');
+  assert.equal(r.prediction.daysPerLevel, 18.1);
+  const days = (new Date(r.prediction.date) - new Date(r.generatedAt)) / 864e5;
+  assert.ok(Math.abs(days - r.levelsLeft * 18.1) < 0.01, `${days} days`);
+});
+
+test('reset account: only levels since the reset count', async () => {
+  const r = await report('reset');
+  assert.equal(r.level, 12);
+  assert.equal(r.scenarios.median.daysPerLevel, 8.4);
+  assert.equal(r.scenarios.slow.daysPerLevel, 8.8);
+});
+
+test('next level from the 90% kanji rule', async () => {
+  const r = await report('nearlyThere');
+  assert.deepEqual(
+    { level: r.nextLevel.level, kanjiAtGuru: r.nextLevel.kanjiAtGuru, kanjiRequired: r.nextLevel.kanjiRequired },
+    { level: 60, kanjiAtGuru: 14, kanjiRequired: 22 },
+  );
+  assert.equal(r.levelsLeft, 1);
+  assert.equal(r.speedup.accuracy, 92.04);
+});
+
+test('--target shortens the road', async () => {
+  const r = await report('fast', ['--target', '45']);
+  assert.equal(r.targetLevel, 45);
+  assert.equal(r.levelsLeft, 6);
+});
+
+test('a lapsed account past its cap keeps projecting, with a warning', async () => {
+  const data = await fixture('fast');
+  data.user.data.subscription = { active: false, type: 'free', max_level_granted: 3, period_ends_at: null };
+  const r = toJson(predict(data, parseArgs([])));
+  assert.equal(r.targetLevel, 60);
+  assert.equal(r.levelsLeft, 21);
+  assert.match(r.warnings[0], /only unlocks levels up to 3/);
+});
+
+test('table output', async () => {
+  const table = toTable(predict(await fixture('fast'), parseArgs([])));
+  assert.match(table, /^hayate · level 39 → 60 · 21 levels left/);
+  assert.match(table, /Next level \(40\): .* · 6 of 29 kanji at Guru/);
+});
+
+test('argument checks', () => {
+  assert.throws(() => parseArgs(['--pace', 'psychic']), /unknown pace/);
+  assert.throws(() => parseArgs(['--target', '61']), /--target must be a level/);
+  assert.throws(() => parseArgs(['--windows', '25:00']), /bad review window/);
+  assert.throws(() => parseArgs(['--file']), /--file needs a value/);
+  assert.deepEqual(parseArgs(['--windows', '19:00,7:30']).windows[0], [450, 1140]);
+});
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// ── wk-predict ─────────────────────────────────────────────────────────────
+// Command-line predictions from the same engine as the page (core.js), for cron
+// jobs and scripts. Fetches with a token, or reads a dump saved with --save.
+const fs = require('fs');
+const core = require('./core.js');
+
+const USAGE = `Usage: wk-predict [--token <token> | --file <dump.json>] [options]
+
+  --token <token>     WaniKani API token (or set WANIKANI_TOKEN)
+  --file <dump.json>  predict from a dump saved earlier instead of the API
+  --save <dump.json>  write the fetched data to a dump for later runs
+  --pace <model>      headline pace: ${Object.keys(core.PACE_MODELS).join(', ')} (default median)
+  --target <level>    road to this level instead of ${core.MAX_LEVEL}
+  --windows <times>   review windows every day, e.g. 07:30,19:00 (default 09:00,18:00)
+  --json              print JSON instead of a table
+  --help              show this help`;
+
+function parseArgs(argv) {
+  const opts = { pace: 'median', json: false };
+  const value = (i, flag) => {
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) throw new Error(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--json') opts.json = true;
+    else if (flag === '--help' || flag === '-h') opts.help = true;
+    else if (['--token', '--file', '--save', '--pace', '--target', '--windows'].includes(flag)) opts[flag.slice(2)] = value(i++, flag);
+    else throw new Error(`unknown option ${flag}`);
+  }
+
+  if (!core.PACE_MODELS[opts.pace]) throw new Error(`unknown pace "${opts.pace}"`);
+  if (opts.target !== undefined) {
+    opts.target = Number(opts.target);
+    if (!Number.isInteger(opts.target) || opts.target < 2 || opts.target > core.MAX_LEVEL) {
+      throw new Error(`--target must be a level from 2 to ${core.MAX_LEVEL}`);
+    }
+  }
+  if (opts.windows !== undefined) {
+    const wins = opts.windows.split(',').map(t => {
+      const m = /^(\d{1,2}):(\d{2})$/.exec(t.trim());
+      const mins = m && Number(m[1]) * 60 + Number(m[2]);
+      if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) throw new Error(`bad review window "${t}" — use HH:MM`);
+      return mins;
+    }).sort((a, b) => a - b);
+    opts.windows = core.DAY_NAMES.map(() => [...wins]);
+  }
+  return opts;
+}
+
+async function loadData(opts) {
+  if (opts.file) {
+    const data = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+    if (!data.user?.data || !Array.isArray(data.progressions)) throw new Error(`${opts.file} is not a wk-predict dump`);
+    return data;
+  }
+
+  const token = opts.token || process.env.WANIKANI_TOKEN;
+  if (!token) throw new Error('pass --token, set WANIKANI_TOKEN, or read a dump with --file');
+  const progress = process.stderr.isTTY ? msg => process.stderr.write(`\r\x1b[K${msg}`) : () => {};
+  const { data, warnings } = await core.fetchWK(token, null, null, progress);
+  progress('');
+  for (const w of warnings) process.stderr.write(`warning: ${w.section} — ${w.message}\n`);
+  if (opts.save) fs.writeFileSync(opts.save, JSON.stringify(data));
+  return data;
+}
+
+function predict(data, opts) {
+  const level = data.user.data.current_level ?? data.user.data.level;
+  const subscription = data.user.data.subscription || null;
+  core.configureEngine({
+    currentLevel: level,
+    srsSystems: data.srsSystems || [],
+    subscription,
+    targetLevel: opts.target ?? core.MAX_LEVEL,
+    ...(opts.windows && { reviewSchedule: opts.windows }),
+  });
+
+  const runs = core.splitRuns(data.progressions, level, data.resets);
+  const breaks = core.breakRanges([], data.user.data.current_vacation_started_at);
+  const stats = core.computeStats(runs[runs.length - 1].progressions, level, data.allAssignments || [], breaks);
+  if (!stats) throw new Error('need at least 2 completed level progressions to predict');
+
+  const left = core.levelsLeft();
+  const scenarios = Object.entries(core.PACE_MODELS).map(([key, model]) => {
+    const days = core.paceDays(stats, key);
+    return { key, label: model.label, daysPerLevel: days, date: core.skipBreaks(new Date(), left * days, breaks) };
+  });
+  const prediction = scenarios.find(s => s.key === opts.pace);
+
+  const hasLevelData = (data.assignments || []).length || (data.subjects || []).length;
+  const nextLevel = hasLevelData && level < core.MAX_LEVEL ? core.computeNextLevel(data.assignments || [], data.subjects || []) : null;
+  const speedup = (data.reviewStats || []).length
+    ? core.computeSpeedup(data.reviewStats, core.levelShape(data.subjects || []), stats.median)
+    : null;
+
+  const warnings = [];
+  if (core.pastLevelCap()) {
+    warnings.push(`subscription only unlocks levels up to ${core.maxLevelGranted()}; projections assume you renew`);
+  } else if (core.targetLevel() < (opts.target ?? core.MAX_LEVEL)) {
+    warnings.push(`subscription only unlocks levels up to ${core.targetLevel()}`);
+  }
+  const ends = subscription?.period_ends_at ? new Date(subscription.period_ends_at) : null;
+  if (subscription?.active && ends && left && ends < prediction.date) {
+    warnings.push(`subscription period ends ${core.fmtDate(ends)}, before the projected finish`);
+  }
+
+  return { username: data.user.data.username, level, targetLevel: core.targetLevel(), left, prediction, scenarios, nextLevel, speedup, warnings };
+}
+
+const round = d => Math.round(d * 100) / 100;
+
+function toJson(r) {
+  return {
+    generatedAt: new Date().toISOString(),
+    username: r.username,
+    level: r.level,
+    targetLevel: r.targetLevel,
+    levelsLeft: r.left,
+    pace: r.prediction.key,
+    prediction: { daysPerLevel: round(r.prediction.daysPerLevel), date: r.prediction.date.toISOString() },
+    scenarios: Object.fromEntries(r.scenarios.map(s => [s.key, { daysPerLevel: round(s.daysPerLevel), date: s.date.toISOString() }])),
+    nextLevel: r.nextLevel && {
+      level: r.level + 1,
+      date: r.nextLevel.levelUpDate.toISOString(),
+      imminent: r.nextLevel.imminent,
+      kanjiAtGuru: r.nextLevel.kanjiAtGuru,
+      kanjiRequired: r.nextLevel.kanjiRequired,
+    },
+    speedup: r.speedup && {
+      accuracy: round(r.speedup.accuracy),
+      perfectDaysPerLevel: round(r.speedup.perfectDaysPerLevel),
+      expectedDaysPerLevel: round(r.speedup.expectedDaysPerLevel),
+    },
+    warnings: r.warnings,
+  };
+}
+
+function toTable(r) {
+  const lines = [
+    `${r.username || 'WaniKani'} · level ${r.level} → ${r.targetLevel} · ${r.left} level${r.left === 1 ? '' : 's'} left`,
+    r.left
+      ? `Level ${r.targetLevel} at ${r.prediction.label} pace: ${core.fmtDate(r.prediction.date)} (${core.fmtDays(r.prediction.daysPerLevel)}/level)`
+      : `Level ${r.targetLevel} reached`,
+    '',
+    `${'Pace'.padEnd(10)}${'Days/level'.padEnd(12)}Level ${r.targetLevel}`,
+    ...r.scenarios.map(s => `${s.label.padEnd(10)}${core.fmtDays(s.daysPerLevel).padEnd(12)}${r.left ? core.fmtDate(s.date) : '—'}`),
+  ];
+  if (r.nextLevel) {
+    lines.push('', `Next level (${r.level + 1}): ${r.nextLevel.imminent ? 'as soon as WaniKani catches up' : core.fmtDateTime(r.nextLevel.levelUpDate)}` +
+      ` · ${r.nextLevel.kanjiAtGuru} of ${r.nextLevel.kanjiRequired} kanji at Guru`);
+  }
+  if (r.speedup) {
+    lines.push(`Accuracy ${r.speedup.accuracy.toFixed(1)}% · ${core.fmtDays(r.speedup.perfectDaysPerLevel)}/level with no mistakes, ` +
+      `${core.fmtDays(r.speedup.expectedDaysPerLevel)} with yours`);
+  }
+  for (const w of r.warnings) lines.push(`Note: ${w}`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) { console.log(USAGE); return; }
+  const report = predict(await loadData(opts), opts);
+  console.log(opts.json ? JSON.stringify(toJson(report), null, 2) : toTable(report));
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    process.stderr.write(`wk-predict: ${e.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, loadData, predict, toJson, toTable };